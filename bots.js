@@ -0,0 +1,126 @@
+/**
+ * BOT PLAYERS
+ * Decision making for computer-controlled seats. The server feeds a bot the same
+ * information a human gets with 'yourTurn' and applies the answer through
+ * the normal action handler.
+ */
+
+const { Deck } = require('./poker');
+const variants = require('./variants');
+
+const BOT_STYLES = {
+    'random': 'Easy (random)',
+    'calling-station': 'Easy (calling station)',
+    'tight': 'Medium (tight)',
+    'shark': 'Hard (pot odds)'
+};
+
+const BOT_NAMES = ['Ada', 'Bender', 'Chip', 'Dot', 'Echo', 'Fizz', 'Gizmo', 'Hal', 'Iris', 'Jinx'];
+
+const EQUITY_TRIALS = 300;
+
+// Chance to win against random hands by simulation, a tie counts as a share of the pot.
+// Hi-Lo games are simulated on the high hand only.
+function estimateEquity(hand, board, opponents, trials = EQUITY_TRIALS, rng = Math.random, variant = variants.getVariant()) {
+    const known = [...hand, ...board];
+    const isKnown = (c) => known.some(k => k.rank === c.rank && k.suit === c.suit);
+    const remaining = new Deck(Math.random, variant.ranks).cards.filter(c => !isKnown(c));
+    const holeCards = variant.holeCards;
+
+    let score = 0;
+    for (let t = 0; t < trials; t++) {
+        // Partial shuffle: only as many cards as this trial needs
+        const needed = (5 - board.length) + opponents * holeCards;
+        const cards = [...remaining];
+        for (let i = 0; i < needed; i++) {
+            const j = i + Math.floor(rng() * (cards.length - i));
+            [cards[i], cards[j]] = [cards[j], cards[i]];
+        }
+
+        const fullBoard = board.concat(cards.slice(0, 5 - board.length));
+        const mine = variants.evaluate(variant, hand, fullBoard).score;
+        const theirs = [];
+        for (let o = 0; o < opponents; o++) {
+            const start = 5 - board.length + o * holeCards;
+            theirs.push(variants.evaluate(variant, cards.slice(start, start + holeCards), fullBoard).score);
+        }
+
+        const best = Math.max(...theirs);
+        if (mine > best) score += 1;
+        else if (mine === best) score += 1 / (theirs.filter(s => s === mine).length + 1);
+    }
+    return score / trials;
+}
+
+// Raise to a total, kept within the legal range (stack, pot limit or fixed bet size).
+// Just calls (or checks) when the betting was not reopened.
+function raiseTo(view, total) {
+    if (!view.canRaise) return view.canCheck ? { action: 'check' } : { action: 'call' };
+    const maxTotal = view.chips + view.currentBet;
+    total = Math.min(view.maxRaise, Math.max(view.minRaise, Math.round(total)));
+    if (total >= maxTotal) return { action: 'all-in' };
+    return { action: 'raise', amount: total };
+}
+
+function checkOrFold(view) {
+    return view.canCheck ? { action: 'check' } : { action: 'fold' };
+}
+
+const strategies = {
+    // Picks any legal move
+    'random': (view, rng) => {
+        const roll = rng();
+        if (roll < 0.2) return checkOrFold(view);
+        if (roll < 0.8) return view.canCheck ? { action: 'check' } : { action: 'call' };
+        return raiseTo(view, view.minRaise + rng() * view.minRaise * 2);
+    },
+
+    // Never folds, never raises
+    'calling-station': (view) => {
+        return view.canCheck ? { action: 'check' } : { action: 'call' };
+    },
+
+    // Plays strong hands hard and gives up on the rest
+    'tight': (view, rng) => {
+        const equity = estimateEquity(view.hand, view.communityCards, view.opponents, EQUITY_TRIALS / 2, rng,
+            variants.getVariant(view.variant));
+        const fairShare = 1 / (view.opponents + 1);
+        if (equity > fairShare * 2) return raiseTo(view, view.currentBet + view.callAmount + view.pot / 2);
+        if (equity > fairShare * 1.2) return view.canCheck ? { action: 'check' } : { action: 'call' };
+        return checkOrFold(view);
+    },
+
+    // Compares equity with the pot odds on offer and sizes bets with the pot
+    'shark': (view, rng) => {
+        const equity = estimateEquity(view.hand, view.communityCards, view.opponents, EQUITY_TRIALS, rng,
+            variants.getVariant(view.variant));
+        const potOdds = view.callAmount / (view.pot + view.callAmount);
+
+        if (equity > 0.65 || (equity > 0.5 && view.opponents === 1)) {
+            // Value bet: bigger with better hands, the odd check to disguise it
+            if (rng() < 0.15 && view.canCheck) return { action: 'check' };
+            return raiseTo(view, view.currentBet + view.callAmount + view.pot * (equity > 0.8 ? 1 : 0.6));
+        }
+        if (view.canCheck) {
+            // Occasional bluff when nobody has shown interest
+            if (rng() < 0.1) return raiseTo(view, view.pot / 2);
+            return { action: 'check' };
+        }
+        return equity >= potOdds ? { action: 'call' } : { action: 'fold' };
+    }
+};
+
+// view: { variant, hand, communityCards, callAmount, minRaise, maxRaise, canCheck, canRaise, pot, chips, currentBet, opponents }
+function decideAction(style, view, rng = Math.random) {
+    const strategy = Object.hasOwn(strategies, style) ? strategies[style] : strategies['calling-station'];
+    return strategy(view, rng);
+}
+
+// First unused name, so bots at one table can be told apart
+function pickBotName(takenNames) {
+    const taken = takenNames.map(n => n.toLowerCase());
+    const name = BOT_NAMES.find(n => !taken.includes(`bot ${n.toLowerCase()}`));
+    return `Bot ${name || Math.floor(Math.random() * 1000)}`;
+}
+
+module.exports = { BOT_STYLES, decideAction, estimateEquity, pickBotName };
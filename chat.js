@@ -0,0 +1,57 @@
+/**
+ * TABLE CHAT
+ * Messages and emotes for one room, with a per-player flood limit.
+ * Muting is up to each reader and happens in the client.
+ */
+
+// Quick emotes, by key (the client has the same buttons)
+const EMOTES = {
+    'gg': '👍 Good game',
+    'nh': '👏 Nice hand',
+    'ty': '🙏 Thanks',
+    'lol': '😂',
+    'wow': '😮',
+    'sad': '😢'
+};
+
+const MAX_MESSAGE_LENGTH = 200;
+const MAX_LOG_MESSAGES = 100; // Scrollback sent to players who join later
+const FLOOD_LIMIT = 5;        // Messages per player...
+const FLOOD_WINDOW_MS = 10000; // ...within this window
+
+let nextMessageId = 1;
+
+// Message for the room, or null if there is nothing valid to send
+function createMessage(player, { text, emote }, now = Date.now()) {
+    let body;
+    if (emote !== undefined) {
+        body = Object.hasOwn(EMOTES, emote) ? EMOTES[emote] : null;
+    } else if (typeof text === 'string') {
+        body = text.replace(/[\u0000-\u001f\u007f]/g, ' ').trim().substring(0, MAX_MESSAGE_LENGTH);
+    }
+    if (!body) return null;
+
+    return {
+        id: nextMessageId++,
+        playerId: player.id,
+        nickname: player.nickname,
+        text: body,
+        emote: emote !== undefined,
+        at: now
+    };
+}
+
+// Sliding window over the player's recent send times; records the send if allowed
+function allowMessage(recentTimes, now = Date.now()) {
+    while (recentTimes.length > 0 && now - recentTimes[0] >= FLOOD_WINDOW_MS) recentTimes.shift();
+    if (recentTimes.length >= FLOOD_LIMIT) return false;
+    recentTimes.push(now);
+    return true;
+}
+
+function addToLog(log, message) {
+    log.push(message);
+    if (log.length > MAX_LOG_MESSAGES) log.shift();
+}
+
+module.exports = { EMOTES, createMessage, allowMessage, addToLog };
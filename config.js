@@ -0,0 +1,136 @@
+/**
+ * TABLE CONFIGURATION
+ * Per-room settings chosen by the room creator, with defaults and limits
+ */
+
+const { DEFAULT_PAYOUTS, buildBlindSchedule } = require('./tournament');
+const { VARIANTS, DEFAULT_VARIANT } = require('./variants');
+
+const MAX_SEATS = 9; // The table layout has room for 9 seats
+const MISSED_BLIND_RULES = ['post', 'wait', 'free'];
+const BETTING_LIMITS = ['no-limit', 'pot-limit', 'fixed-limit'];
+const ANTE_TYPES = ['each', 'big-blind'];
+const STRADDLES = ['off', 'utg', 'button'];
+
+const DEFAULT_CONFIG = {
+    variant: DEFAULT_VARIANT, // Key of variants.js VARIANTS
+    bettingLimit: null, // 'no-limit', 'pot-limit' or 'fixed-limit', null = the variant's usual one
+    raiseCap: 4,        // Fixed-limit only: bets and raises per street
+    smallBlind: 1,
+    bigBlind: 2,
+    ante: 0,
+    anteType: 'each',   // 'each' player antes, or the 'big-blind' antes for the whole table
+    straddle: 'off',    // Voluntary straddle to two big blinds: 'off', 'utg' or 'button'
+    startingChips: 200,
+    rebuyAmount: 200,   // 0 disables rebuys
+    maxRebuys: 0,       // Per player, 0 = unlimited
+    minPlayers: 5,
+    maxPlayers: 9,
+    seatCount: 9,
+    turnTimeoutSec: 20,
+    timeBankSec: 30,    // Extra thinking time per player, 0 = no time bank
+    timeBankRefillSec: 3, // Added back to the time bank every hand, up to timeBankSec
+    maxTimeouts: 2,     // Timeouts in a row before a player is sat out, 0 = never
+    missedBlinds: 'post', // Coming back after missing blinds: 'post' them, 'wait' for the big blind, or 'free'
+    maxRuns: 2,         // All-in players may agree to deal the rest of the board up to this many times, 1 = never
+    chipValue: 0.01,    // Money per chip, for settling up
+
+    // Tournament rooms only
+    mode: 'cash',           // 'cash' or 'tournament'
+    blindLevelMinutes: 10,
+    blindSchedule: null,    // [{ smallBlind, bigBlind, ante }], null = scaled default
+    rebuyLevels: 0,         // Rebuys allowed during the first N levels
+    addOnAmount: 0,         // Offered in the last rebuy level, 0 = no add-on
+    payouts: DEFAULT_PAYOUTS
+};
+
+// Whole number within [min, max], or the fallback if missing / not a number
+function clampInt(value, min, max, fallback) {
+    const n = parseInt(value);
+    if (isNaN(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+}
+
+// Builds a complete, consistent config from (untrusted) client options
+function normalizeConfig(options) {
+    options = options && typeof options === 'object' ? options : {};
+    const d = DEFAULT_CONFIG;
+    const config = {};
+
+    config.variant = Object.hasOwn(VARIANTS, options.variant) ? options.variant : d.variant;
+    config.bettingLimit = BETTING_LIMITS.includes(options.bettingLimit) ? options.bettingLimit : VARIANTS[config.variant].bettingLimit;
+    config.raiseCap = clampInt(options.raiseCap, 2, 10, d.raiseCap);
+    config.smallBlind = clampInt(options.smallBlind, 1, 100000, d.smallBlind);
+    config.bigBlind = clampInt(options.bigBlind, config.smallBlind, 200000, Math.max(d.bigBlind, config.smallBlind * 2));
+    config.ante = clampInt(options.ante, 0, config.bigBlind, d.ante);
+    config.anteType = ANTE_TYPES.includes(options.anteType) ? options.anteType : d.anteType;
+    config.straddle = STRADDLES.includes(options.straddle) ? options.straddle : d.straddle;
+    config.startingChips = clampInt(options.startingChips, config.bigBlind, 10000000, Math.max(d.startingChips, config.bigBlind * 10));
+    config.rebuyAmount = clampInt(options.rebuyAmount, 0, 10000000, config.startingChips);
+    config.maxRebuys = clampInt(options.maxRebuys, 0, 1000, d.maxRebuys);
+
+    config.seatCount = clampInt(options.seatCount, 2, MAX_SEATS, d.seatCount);
+    config.maxPlayers = clampInt(options.maxPlayers, 2, config.seatCount, config.seatCount);
+    config.minPlayers = clampInt(options.minPlayers, 2, config.maxPlayers, Math.min(d.minPlayers, config.maxPlayers));
+    config.turnTimeoutSec = clampInt(options.turnTimeoutSec, 5, 300, d.turnTimeoutSec);
+    config.timeBankSec = clampInt(options.timeBankSec, 0, 600, d.timeBankSec);
+    config.timeBankRefillSec = clampInt(options.timeBankRefillSec, 0, config.timeBankSec, Math.min(d.timeBankRefillSec, config.timeBankSec));
+    config.maxTimeouts = clampInt(options.maxTimeouts, 0, 100, d.maxTimeouts);
+    config.missedBlinds = MISSED_BLIND_RULES.includes(options.missedBlinds) ? options.missedBlinds : d.missedBlinds;
+    config.maxRuns = clampInt(options.maxRuns, 1, 4, d.maxRuns);
+    const chipValue = parseFloat(options.chipValue);
+    config.chipValue = isNaN(chipValue) || chipValue < 0 ? d.chipValue : Math.min(chipValue, 1000);
+
+    config.mode = options.mode === 'tournament' ? 'tournament' : 'cash';
+    if (config.mode === 'tournament') {
+        config.blindLevelMinutes = clampInt(options.blindLevelMinutes, 1, 120, d.blindLevelMinutes);
+        config.blindSchedule = normalizeSchedule(options.blindSchedule) ||
+            buildBlindSchedule(config.smallBlind).map(l => ({ ...l, ante: Math.max(l.ante, config.ante) }))
+                // A big blind ante is the size of the big blind, from the first level with antes
+                .map(l => config.anteType === 'big-blind' && l.ante > 0 ? { ...l, ante: l.bigBlind } : l);
+        config.rebuyLevels = clampInt(options.rebuyLevels, 0, config.blindSchedule.length, d.rebuyLevels);
+        config.addOnAmount = config.rebuyLevels > 0 ? clampInt(options.addOnAmount, 0, 10000000, d.addOnAmount) : 0;
+        config.payouts = normalizePayouts(options.payouts) || d.payouts;
+
+        // The first level is what the table starts with
+        Object.assign(config, config.blindSchedule[0]);
+    }
+
+    return config;
+}
+
+// Blinds the host sets between hands, same limits as when the room was created
+function normalizeBlinds(options, current) {
+    options = options && typeof options === 'object' ? options : {};
+    const smallBlind = clampInt(options.smallBlind, 1, 100000, current.smallBlind);
+    const bigBlind = clampInt(options.bigBlind, smallBlind, 200000, Math.max(current.bigBlind, smallBlind));
+    const ante = clampInt(options.ante, 0, bigBlind, Math.min(current.ante, bigBlind));
+    return { smallBlind, bigBlind, ante };
+}
+
+// [{ smallBlind, bigBlind, ante }] with increasing blinds, or null if unusable
+function normalizeSchedule(schedule) {
+    if (!Array.isArray(schedule) || schedule.length === 0) return null;
+    const levels = [];
+    for (let level of schedule.slice(0, 50)) {
+        const smallBlind = clampInt(level && level.smallBlind, 1, 10000000, NaN);
+        const bigBlind = clampInt(level && level.bigBlind, smallBlind, 20000000, NaN);
+        if (isNaN(smallBlind) || isNaN(bigBlind)) return null;
+        const prev = levels[levels.length - 1];
+        if (prev && bigBlind < prev.bigBlind) return null;
+        levels.push({ smallBlind, bigBlind, ante: clampInt(level.ante, 0, bigBlind, 0) });
+    }
+    return levels;
+}
+
+// Percentages for 1st, 2nd... from an array or "50,30,20"; must add up to 100
+function normalizePayouts(payouts) {
+    const list = typeof payouts === 'string' ? payouts.split(',') : payouts;
+    if (!Array.isArray(list) || list.length === 0) return null;
+    const percents = list.map(v => clampInt(v, 0, 100, NaN));
+    if (percents.some(isNaN)) return null;
+    if (percents.reduce((a, b) => a + b, 0) !== 100) return null;
+    return percents;
+}
+
+module.exports = { DEFAULT_CONFIG, MAX_SEATS, normalizeConfig, normalizeBlinds };
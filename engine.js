@@ -0,0 +1,2082 @@
+/**
+ * TABLE ENGINE
+ * Betting, streets, showdown and tournament rules for one table, with no sockets
+ * and no timers. Every command returns the new public state plus the events it
+ * produced; the caller decides how to deliver them and when to come back
+ * (turn timeouts, next hand, blind levels).
+ *
+ * Randomness (the server seeds behind the shuffle) and time (tournament clock,
+ * history timestamps) are injected, so a table built with a seeded rng and a
+ * fixed clock replays the exact same hands.
+ */
+
+const crypto = require('crypto');
+const { Deck, buildPots, createSeededRng } = require('./poker');
+const { normalizeConfig, normalizeBlinds } = require('./config');
+const tournament = require('./tournament');
+const history = require('./history');
+const fairness = require('./fairness');
+const variants = require('./variants');
+const ledger = require('./ledger');
+const equity = require('./equity');
+const stats = require('./stats');
+
+const MAX_HISTORY_HANDS = 1000; // Per room, oldest hands are dropped first
+const SHOWDOWN_DELAY_MS = 8000; // Time to see the results before the next hand
+const RUNOUT_STREET_MS = 2500;  // Pause between streets once everyone is all in
+const RUNOUT_EQUITY_TRIALS = 1500; // Enough for a percentage; big multiway pots get fewer, see equity.js
+const RUN_IT_CHOICE_MS = 10000; // Time to choose how many times to run it; no answer = once
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+// --- EVENTS ---
+// { type: 'notification', message }
+// { type: 'holeCards', playerId, cards }            private to one player
+// { type: 'turn', playerId, info, timeoutMs }       player to act, start their timer
+// { type: 'turnTimer', playerId, timeoutMs }        same player, restart their timer (time bank)
+// { type: 'handResult', message, winners, pots, runs }
+// { type: 'handComplete', delayMs }                 call nextHand after the delay
+// { type: 'runout', delayMs }                       call runOut after the delay, deals the next street
+//                                                   (or, while players choose how many runs, settles it)
+// { type: 'levelTimer', ms }                        call advanceLevel after ms, null = stop
+// { type: 'tournamentResult', standings, prizePool }
+// { type: 'pause' }                                 stop the turn and next-hand timers
+// { type: 'kicked', playerId, banned }              removed by the host, drop their sessions
+// { type: 'handRecorded', hand }                    a finished hand record, for stats kept beyond the room
+// { type: 'accessKey', key }                        the room's download key changed, for its members
+
+function emit(room, type, payload = {}) {
+    room.events.push({ type, ...payload });
+}
+
+function notify(room, message) {
+    emit(room, 'notification', { message });
+}
+
+// 32 random bytes as hex; from the injected rng when replaying, so the shuffles repeat too
+function serverSeedSource(rng) {
+    if (!rng) return () => crypto.randomBytes(32).toString('hex');
+    return () => Array.from({ length: 8 }, () =>
+        Math.floor(rng() * 0x100000000).toString(16).padStart(8, '0')).join('');
+}
+
+function createRoom(id, config, options) {
+    const createServerSeed = options.createServerSeed || serverSeedSource(options.rng);
+    const nextServerSeed = createServerSeed();
+    return {
+        id,
+        config: normalizeConfig(config),
+        players: [],
+        spectators: [], // { id, nickname, clientSeed, address }, watching without a seat
+        waitlist: [],   // Spectator ids, first in line first
+        hostId: null,   // First human in the room, passed on when they leave
+        bans: [],       // { nickname, address }, lowercase nickname
+        passwordHash: null, // Set by the host; needed to join from outside, see checkPassword()
+        passwordSalt: null, // Random, new with every password
+        accessKey: newAccessKey(), // Read-only key to the downloads of a room with a password
+        isPrivate: false,   // Left out of the lobby's room list, joined by name only
+        pausedAt: null, // Clock time the host paused the game, null while running
+        turnStartedAt: null,
+        turnDeadline: null,
+        turnBankFrom: null, // Deadline the time bank was added to, null if not in use
+        runout: false,  // Betting is over and the rest of the board is dealt street by street
+        equity: null,   // { [playerId]: { win, tie, equity } } during a run-out
+        runItOffer: null, // { maxRuns, deadline, choices: { [playerId]: runs or null } } while the all-in players choose
+        extraBoards: [],  // Boards of runs 2..N when the rest is dealt more than once
+        lastAggressorId: null, // Last to bet or raise this street, shows first at showdown
+        straddleIndex: null, // Seat that straddled this hand
+        straddleToAct: false, // A button straddle hasn't acted yet, see nextTurn
+        bombPot: null,    // Everyone's ante when this hand is a bomb pot
+        nextBombPot: null, // Ante of the bomb pot the host called for the next hand
+        gameStatus: 'waiting', // waiting, playing, showdown, finished
+        dealerIndex: 0,
+        pot: 0,
+        communityCards: [],
+        deck: null,
+        deadContributions: [],
+        handHistory: [],
+        currentHand: null,
+        stats: stats.createTotals(), // Running totals of every hand played here, see stats.js
+        ledger: [], // Buy-ins, rebuys, add-ons and cash-outs, see ledger.js
+        tournament: null,
+        events: [],
+        restoredFrom: null, // savedAt of the snapshot this table came from, until resumed
+        // Provably fair shuffle, see fairness.js. current holds the running hand's
+        // seeds, sealed those of finished hands until the game is over or the host reveals them (see revealSeeds)
+        // and lastReveal the last hand whose seeds were revealed.
+        fairness: {
+            nonce: 0,
+            nextServerSeed,
+            nextServerSeedHash: fairness.sha256(nextServerSeed),
+            current: null,
+            sealed: [],
+            lastReveal: null
+        },
+        createServerSeed,
+        clock: options.clock || Date.now,
+        createDeck: options.createDeck || ((rng, ranks) => new Deck(rng, ranks))
+    };
+}
+
+// --- STATE FOR CLIENTS ---
+
+// Hole cards everyone may see, or null. Folded hands are never shown.
+function visibleCards(room, p) {
+    if (p.status === 'folded' || p.hand.length === 0) return null;
+    if (room.runout) return p.hand;
+    if (!p.shownCards || !p.shownCards.some(Boolean)) return null;
+    return p.hand.map((c, i) => p.shownCards[i] ? c : null);
+}
+
+function publicState(room) {
+    // Sanitize state for clients
+    const publicPlayers = room.players.map(p => ({
+        id: p.id,
+        nickname: p.nickname,
+        chips: p.chips,
+        seatIndex: p.seatIndex,
+        status: p.status, // 'active', 'folded', 'all-in', 'sitting-out'
+        away: !!p.away,   // Sitting out; in tournaments they stay dealt in and are blinded away
+        missedBlinds: p.missedBlinds || null, // 'small' or 'big', owed on coming back
+        timeBankMs: p.timeBankMs,
+        disconnected: !!p.disconnected,
+        isBot: !!p.isBot,
+        botStyle: p.botStyle || null,
+        bet: p.currentBet,
+        isDealer: p.seatIndex === room.dealerIndex,
+        isSB: p.seatIndex === room.sbIndex,
+        isBB: p.seatIndex === room.bbIndex,
+        isStraddle: p.seatIndex === room.straddleIndex,
+        straddle: !!p.straddle, // Straddles whenever in the straddle seat
+        isTurn: room.gameStatus === 'playing' && p.seatIndex === room.currentTurnIndex,
+        cards: visibleCards(room, p), // Face up once all in, or shown at showdown; null for a hidden card
+        autoMuck: p.autoMuck !== false,
+        equity: room.equity ? room.equity[p.id] || null : null,
+        stats: room.stats[p.nickname] ? stats.summarizePlayer(room.stats[p.nickname]) : null, // This room only
+        hasCards: p.hand.length > 0
+    }));
+
+    const spectatorsById = (ids) => ids.map(id => room.spectators.find(s => s.id === id)).filter(Boolean);
+    const publicSpectator = (s) => ({ id: s.id, nickname: s.nickname });
+
+    const t = room.tournament;
+    const publicTournament = t ? {
+        level: t.level + 1,
+        ...room.config.blindSchedule[t.level],
+        msUntilNextLevel: tournament.msUntilNextLevel(room.config, t, tableTime(room)),
+        rebuyOpen: tournament.isRebuyOpen(room.config, t),
+        addOnOpen: tournament.isAddOnOpen(room.config, t),
+        prizePool: tournament.prizePool(room.config, t),
+        remaining: room.players.filter(p => p.status !== 'eliminated').length,
+        finished: t.finished,
+        standings: t.standings
+    } : null;
+
+    const variant = variants.getVariant(room.config.variant);
+
+    return {
+        roomId: room.id,
+        variant: { name: variants.gameNames(variant, room.config.bettingLimit).name, holeCards: variant.holeCards, bettingLimit: room.config.bettingLimit },
+        status: room.gameStatus, // 'waiting', 'playing'
+        communityCards: room.communityCards,
+        extraBoards: room.extraBoards, // Runs 2..N, when running it more than once
+        bombPot: room.bombPot,
+        nextBombPot: room.nextBombPot,
+        runItOffer: publicRunItOffer(room),
+        pot: room.pot,
+        currentBet: room.highestBet,
+        players: publicPlayers,
+        spectators: room.spectators.map(publicSpectator),
+        waitlist: spectatorsById(room.waitlist).map(publicSpectator),
+        hostId: room.hostId,
+        hasPassword: !!room.passwordHash,
+        isPrivate: room.isPrivate,
+        paused: room.pausedAt !== null,
+        minPlayers: room.config.minPlayers,
+        config: room.config,
+        tournament: publicTournament,
+        turn: publicTurn(room),
+        fairness: publicFairness(room)
+    };
+}
+
+function publicRunItOffer(room) {
+    const offer = room.runItOffer;
+    if (!offer) return null;
+    const msLeft = room.pausedAt === null ? Math.max(0, offer.deadline - room.clock()) : null;
+    return { maxRuns: offer.maxRuns, choices: offer.choices, msLeft };
+}
+
+// Who is to act and until when. msLeft lets clients count down without trusting their own clock.
+function publicTurn(room) {
+    const player = room.gameStatus === 'playing' && room.pausedAt === null && room.turnDeadline
+        ? room.players.find(p => p.seatIndex === room.currentTurnIndex) : null;
+    if (!player) return null;
+    return {
+        playerId: player.id,
+        deadline: room.turnDeadline,
+        msLeft: Math.max(0, room.turnDeadline - room.clock()),
+        totalMs: room.turnDeadline - room.turnStartedAt,
+        timeBankActive: room.turnBankFrom !== null
+    };
+}
+
+// Commitments only until the game is over; seeds and deck order once they are revealed
+function publicFairness(room) {
+    const f = room.fairness;
+    return {
+        nextServerSeedHash: f.nextServerSeedHash,
+        current: f.current ? commitment(f.current) : null,
+        sealedHands: f.sealed.length,
+        lastReveal: f.lastReveal
+    };
+}
+
+// --- BETTING ---
+
+function nextTurn(room) {
+    if(room.gameStatus !== 'playing') return;
+
+    // A button straddle first acts right after the big blind
+    const straddler = waitingStraddler(room);
+    const bigBlind = room.players.find(p => p.seatIndex === room.bbIndex);
+    const straddlerTurn = () => {
+        room.currentTurnIndex = straddler.seatIndex;
+        startTurn(room, straddler);
+    };
+    if (straddler && room.currentTurnIndex === room.bbIndex && bigBlind && bigBlind.actedInRound) {
+        straddlerTurn();
+        return;
+    }
+
+    // Find next player who still has to act
+    let playersChecked = 0;
+    const seatCount = room.config.seatCount;
+    let nextIndex = (room.currentTurnIndex + 1) % seatCount;
+
+    while (playersChecked < seatCount) {
+        const p = room.players.find(pl => pl.seatIndex === nextIndex);
+        if (p && p !== straddler && needsToAct(room, p)) {
+            room.currentTurnIndex = nextIndex;
+            startTurn(room, p);
+            return;
+        }
+        if (straddler && nextIndex === room.bbIndex) {
+            straddlerTurn();
+            return;
+        }
+        nextIndex = (nextIndex + 1) % seatCount;
+        playersChecked++;
+    }
+
+    // If loop finishes, round might be over
+    checkRoundEnd(room);
+}
+
+// Hasn't acted this street yet, or owes a call since
+function needsToAct(room, p) {
+    return p.status === 'active' && p.chips > 0 && (!p.actedInRound || p.currentBet < room.highestBet);
+}
+
+// The button straddler, until their first action preflop; null otherwise
+function waitingStraddler(room) {
+    if (!room.straddleToAct || room.roundName !== 'preflop') return null;
+    const p = room.players.find(pl => pl.seatIndex === room.straddleIndex);
+    return p && needsToAct(room, p) ? p : null;
+}
+
+function checkRoundEnd(room) {
+    if (room.gameStatus !== 'playing') return true;
+
+    const activePlayers = room.players.filter(p => p.status === 'active' || p.status === 'all-in');
+    const bettingPlayers = activePlayers.filter(p => p.status === 'active'); // Not all-in
+
+    // If only 1 player left (everyone else folded)
+    const foldedCount = room.players.filter(p => p.status === 'folded').length;
+    const totalInHand = room.players.filter(p => p.hand.length > 0).length;
+
+    if (totalInHand - foldedCount === 1) {
+        endHand(room);
+        return true;
+    }
+    if (room.runout) return true; // Streets are dealt by runOut now
+
+    // Everyone has acted since the last full raise and the bets match -> Next Street.
+    // A lone player with chips has nobody to bet against, unless they still owe a call.
+    const pendingAction = bettingPlayers.some(p => p.currentBet < room.highestBet ||
+        (!p.actedInRound && bettingPlayers.length > 1));
+
+    if (!pendingAction) {
+        nextStreet(room);
+        return true;
+    }
+
+    return false;
+}
+
+// --- BETTING STRUCTURES ---
+
+// Fixed-limit bet size: the big blind preflop and on the flop, twice that on the turn and river
+function fixedBetSize(room) {
+    const { bigBlind } = room.config;
+    return room.roundName === 'turn' || room.roundName === 'river' ? bigBlind * 2 : bigBlind;
+}
+
+// Smallest raise increment a street opens with
+function openingRaise(room) {
+    return room.config.bettingLimit === 'fixed-limit' ? fixedBetSize(room) : room.config.bigBlind;
+}
+
+// A raise that reopens the betting: at least the last full raise, or in fixed-limit half a bet
+// (so an all-in for more than half a bet still counts)
+function isFullRaise(room, raiseBy) {
+    if (room.config.bettingLimit === 'fixed-limit') return raiseBy * 2 >= room.lastRaiseAmount;
+    return raiseBy >= room.lastRaiseAmount;
+}
+
+function isCapped(room) {
+    return room.config.bettingLimit === 'fixed-limit' && room.betsThisStreet >= room.config.raiseCap;
+}
+
+// A raise smaller than the last full raise (a short all-in) doesn't reopen the betting
+// for players who already acted, unless such raises add up to a full one since they acted
+function canRaise(room, player) {
+    if (player.chips + player.currentBet <= room.highestBet) return false;
+    if (isCapped(room)) return false;
+    return !player.actedInRound || isFullRaise(room, room.highestBet - player.betWhenActed);
+}
+
+// Legal totals for a bet or raise, { min, max }, or null if the player can't raise.
+// No-limit: a full raise up to the whole stack; pot-limit: up to the size of the pot;
+// fixed-limit: exactly one bet more. Short stacks may always go all in for less.
+function raiseRange(room, player) {
+    if (!canRaise(room, player)) return null;
+    const allIn = player.chips + player.currentBet;
+    let max = allIn;
+    if (room.config.bettingLimit === 'pot-limit') {
+        // Call first, then raise by everything in the middle
+        const callAmount = room.highestBet - player.currentBet;
+        const potAfterCall = room.pot + room.players.reduce((sum, p) => sum + p.currentBet, 0) + callAmount;
+        max = Math.min(allIn, room.highestBet + potAfterCall);
+    } else if (room.config.bettingLimit === 'fixed-limit') {
+        max = Math.min(allIn, room.highestBet + fixedBetSize(room));
+    }
+    return { min: Math.min(allIn, room.highestBet + room.lastRaiseAmount), max };
+}
+
+// Error for a bet or raise to this total, null if it is legal
+function raiseError(room, player, total) {
+    const allIn = player.chips + player.currentBet;
+    const range = raiseRange(room, player);
+    if (!range) {
+        if (allIn <= room.highestBet) return 'You don\'t have enough chips to raise.';
+        if (isCapped(room)) return `The betting is capped at ${room.config.raiseCap} bets this street.`;
+        return 'The betting was not reopened: you can only call or fold.';
+    }
+    const word = room.highestBet === 0 ? 'bet' : 'raise';
+    if (range.min === range.max && total !== range.min) return `The only ${word} allowed is to ${range.min}.`;
+    if (total > range.max) return range.max < allIn ? `The most you can bet is ${range.max} (pot limit).` : `You only have ${allIn} chips.`;
+    if (total < range.min) return `The minimum ${word} is to ${range.min}.`;
+    return null;
+}
+
+function turnInfo(room, player) {
+    const callAmount = room.highestBet - player.currentBet;
+    const range = raiseRange(room, player);
+    return {
+        callAmount: callAmount,
+        minRaise: range ? range.min : null,
+        maxRaise: range ? range.max : null,
+        canCheck: callAmount === 0,
+        canRaise: range !== null,
+        bettingLimit: room.config.bettingLimit,
+        deadline: room.turnDeadline,
+        msLeft: Math.max(0, room.turnDeadline - room.clock()),
+        timeBankMs: player.timeBankMs,
+        timeBankActive: room.turnBankFrom !== null
+    };
+}
+
+function startTurn(room, player) {
+    if (room.pausedAt !== null) return; // Restarted when the host resumes
+    // Nobody to wait for: sat out in a tournament, or sat out for timing out
+    if (player.away && (room.tournament || player.timeouts > 0)) {
+        handlePlayerAction(room, player, { action: freeAction(room, player) });
+        return;
+    }
+    const timeoutMs = room.config.turnTimeoutSec * 1000;
+    room.turnStartedAt = room.clock();
+    room.turnDeadline = room.turnStartedAt + timeoutMs;
+    room.turnBankFrom = null;
+    emit(room, 'turn', {
+        playerId: player.id,
+        info: turnInfo(room, player),
+        timeoutMs
+    });
+}
+
+// --- TIME BANK ---
+
+// Adds the whole bank to the running turn; only the time actually used past the
+// normal deadline is taken from it
+function useTimeBank(room, player) {
+    if (room.gameStatus !== 'playing' || player.seatIndex !== room.currentTurnIndex) return 'It is not your turn.';
+    if (room.turnBankFrom !== null) return 'Your time bank is already running.';
+    if (player.timeBankMs <= 0) return 'Your time bank is empty.';
+
+    room.turnBankFrom = room.turnDeadline;
+    room.turnDeadline += player.timeBankMs;
+    emit(room, 'turnTimer', { playerId: player.id, timeoutMs: room.turnDeadline - room.clock() });
+    notify(room, `${player.nickname} is using their time bank (${Math.round(player.timeBankMs / 1000)}s).`);
+    return null;
+}
+
+function chargeTimeBank(room, player) {
+    if (room.turnBankFrom === null) return;
+    const used = Math.max(0, room.clock() - room.turnBankFrom);
+    player.timeBankMs = Math.max(0, player.timeBankMs - used);
+    room.turnBankFrom = null;
+}
+
+// Every hand gives a little back
+function refillTimeBank(room, player) {
+    const { timeBankSec, timeBankRefillSec } = room.config;
+    player.timeBankMs = Math.min(timeBankSec * 1000, (player.timeBankMs || 0) + timeBankRefillSec * 1000);
+}
+
+function collectBets(room) {
+    // Gather street bets into pot, remembering each player's total contribution for side pots
+    room.players.forEach(p => {
+        room.pot += p.currentBet;
+        p.totalBet += p.currentBet;
+        p.currentBet = 0;
+    });
+}
+
+function nextStreet(room) {
+    collectBets(room);
+    room.players.forEach(p => p.actedInRound = false);
+    room.highestBet = 0;
+    room.betsThisStreet = 0;
+
+    if (room.roundName === 'river') {
+        endHand(room);
+        return;
+    }
+
+    // Nobody left to bet against (e.g. all all-in): cards up, then the rest of the board
+    const active = room.players.filter(p => p.status === 'active');
+    if (active.length < 2) {
+        startRunout(room);
+        return;
+    }
+
+    dealStreet(room);
+    room.lastRaiseAmount = openingRaise(room);
+    room.lastAggressorId = null;
+
+    // First player still in, left of the button (nextTurn starts from the seat after)
+    room.currentTurnIndex = room.dealerIndex;
+    nextTurn(room);
+}
+
+const NEXT_STREET = { preflop: 'flop', flop: 'turn', turn: 'river' };
+const STREETS_LEFT = { preflop: 3, flop: 2, turn: 1, river: 0 };
+
+// Burn one, then the same street on every run's board, all from the one deck
+function dealStreet(room) {
+    const boards = [room.communityCards, ...room.extraBoards];
+    const count = room.roundName === 'preflop' ? 3 : 1;
+    room.roundName = NEXT_STREET[room.roundName];
+    room.deck.deal();
+    boards.forEach(b => {
+        for (let i = 0; i < count; i++) b.push(room.deck.deal());
+    });
+}
+
+// --- RUN-OUT ---
+
+function startRunout(room) {
+    room.runout = true;
+    room.currentTurnIndex = -1; // Nobody to act
+    notify(room, 'All in! Cards up.');
+    updateEquity(room);
+    offerRuns(room);
+    scheduleRunout(room);
+}
+
+function scheduleRunout(room) {
+    if (!room.runItOffer) {
+        emit(room, 'runout', { delayMs: RUNOUT_STREET_MS });
+        return;
+    }
+    room.runItOffer.deadline = room.clock() + RUN_IT_CHOICE_MS;
+    emit(room, 'runout', { delayMs: RUN_IT_CHOICE_MS });
+}
+
+// One street per call, the odds recalculated after each
+function runOutStreet(room) {
+    if (room.runItOffer) settleRuns(room);
+    dealStreet(room);
+    if (room.roundName === 'river') {
+        endHand(room);
+        return;
+    }
+    updateEquity(room);
+    scheduleRunout(room);
+}
+
+// Seeded by the hand and street, so a replayed table shows the same numbers.
+// With several runs the odds are averaged over the boards: each is worth the same share of the pot.
+function updateEquity(room) {
+    const players = room.players.filter(p => p.status === 'active' || p.status === 'all-in');
+    const boards = [room.communityCards, ...room.extraBoards];
+    const results = boards.map((board, i) => equity.calculateEquity(players.map(p => p.hand), board, {
+        variant: variants.getVariant(room.config.variant),
+        trials: Math.ceil(RUNOUT_EQUITY_TRIALS / boards.length),
+        maxWork: equity.MAX_WORK / boards.length, // One budget for all the runs
+        rng: createSeededRng(room.fairness.nonce * 64 + i * 8 + board.length),
+        dead: boards.filter(b => b !== board).flat() // Cards already out on the other runs
+    }));
+    const average = (i, field) => results.reduce((sum, r) => sum + r.players[i][field], 0) / results.length;
+    room.equity = {};
+    players.forEach((p, i) => room.equity[p.id] = { win: average(i, 'win'), tie: average(i, 'tie'), equity: average(i, 'equity') });
+}
+
+// --- RUN IT TWICE ---
+
+// Everyone still in picks how many times the rest of the board is dealt and the
+// lowest pick counts. Bots go along with the most on offer.
+function offerRuns(room) {
+    const missing = 5 - room.communityCards.length;
+    const burns = STREETS_LEFT[room.roundName];
+    const maxRuns = Math.min(room.config.maxRuns, Math.floor((room.deck.cards.length - burns) / missing));
+    if (maxRuns < 2) return;
+
+    const choices = {};
+    room.players.filter(p => p.status === 'active' || p.status === 'all-in')
+        .forEach(p => choices[p.id] = p.isBot ? maxRuns : null);
+    room.runItOffer = { maxRuns, deadline: null, choices };
+    notify(room, maxRuns === 2 ? 'Run it twice?' : `Run it up to ${maxRuns} times?`);
+}
+
+function chooseRuns(room, player, runs) {
+    const offer = room.runItOffer;
+    if (!offer || !(player.id in offer.choices)) return 'There is nothing to choose.';
+    const n = parseInt(runs);
+    if (!(n >= 1 && n <= offer.maxRuns)) return `Choose between 1 and ${offer.maxRuns} runs.`;
+    offer.choices[player.id] = n;
+
+    if (Object.values(offer.choices).every(c => c !== null)) {
+        settleRuns(room);
+        if (room.pausedAt === null) scheduleRunout(room);
+    }
+    return null;
+}
+
+// Anyone who didn't answer runs it once
+function settleRuns(room) {
+    const runs = Math.min(...Object.values(room.runItOffer.choices).map(c => c || 1));
+    room.runItOffer = null;
+    room.extraBoards = Array.from({ length: runs - 1 }, () => [...room.communityCards]);
+    if (runs > 1) {
+        notify(room, runs === 2 ? 'Running it twice.' : `Running it ${runs} times.`);
+        updateEquity(room);
+    } else {
+        notify(room, 'Running it once.');
+    }
+}
+
+// --- SHOWDOWN ---
+
+// Odd chips go to the winner(s) closest to the left of the dealer button
+function orderFromButton(room, players) {
+    const n = room.config.seatCount;
+    return [...players].sort((a, b) =>
+        ((a.seatIndex - room.dealerIndex - 1 + n) % n) - ((b.seatIndex - room.dealerIndex - 1 + n) % n));
+}
+
+// Who shows at a contested showdown, in order: [{ player, shows }].
+// The last to bet or raise on the river shows first, otherwise the first player left of the
+// button, then clockwise. Once someone is all in every hand is turned up. After the first,
+// a hand that wins nothing and doesn't beat or tie the best shown so far may be mucked.
+function showdownOrder(room, candidates, results, winnerIds) {
+    const allIn = room.runout || candidates.some(p => p.status === 'all-in');
+    let order = orderFromButton(room, candidates);
+    const first = order.findIndex(p => p.id === room.lastAggressorId);
+    if (first > 0) order = order.slice(first).concat(order.slice(0, first));
+
+    let bestHigh = -Infinity;
+    let bestLow = -Infinity;
+    return order.map((player, i) => {
+        const r = results[player.id];
+        const contends = r.score >= bestHigh || (r.low !== null && r.low.score >= bestLow);
+        const shows = allIn || i === 0 || winnerIds.includes(player.id) || player.autoMuck === false || contends;
+        if (shows) {
+            bestHigh = Math.max(bestHigh, r.score);
+            if (r.low) bestLow = Math.max(bestLow, r.low.score);
+        }
+        return { player, shows };
+    });
+}
+
+function endHand(room) {
+    room.gameStatus = 'showdown';
+    room.equity = null; // The result says it all now
+    collectBets(room);
+
+    // 1. Determine candidates
+    const candidates = room.players.filter(p => p.status !== 'folded' && p.status !== 'sitting-out' && p.hand.length > 0);
+    const uncontested = candidates.length === 1;
+
+    // One board, or one per run when running it more than once
+    const variant = variants.getVariant(room.config.variant);
+    const boards = [room.communityCards, ...room.extraBoards];
+    const evaluateBoard = (board) => {
+        const results = {};
+        if (uncontested) return results;
+        candidates.forEach(p => {
+            const evaluation = variants.evaluate(variant, p.hand, board);
+            const low = variants.evaluateLowHand(variant, p.hand, board);
+            results[p.id] = {
+                score: evaluation.score,
+                handName: low ? `${evaluation.description}; ${low.description}` : evaluation.description,
+                highName: evaluation.description,
+                cards: evaluation.cards,
+                low
+            };
+        });
+        return results;
+    };
+    const boardResults = boards.map(evaluateBoard);
+    const results = boardResults[0];
+
+    // 2. Build main pot and side pots from each player's total contribution
+    // Players who left mid-hand still have their chips in the pot (room.deadContributions)
+    const pots = buildPots(room.players.map(p => ({
+        id: p.id,
+        contributed: p.totalBet,
+        folded: !candidates.includes(p)
+    })).concat(room.deadContributions));
+
+    // Splits an amount between winners; odd chips go left of the button
+    const award = (winners, amount, describe) => {
+        winners = orderFromButton(room, winners);
+        const share = Math.floor(amount / winners.length);
+        let oddChips = amount - share * winners.length;
+        return winners.map(w => {
+            const won = share + (oddChips > 0 ? 1 : 0);
+            if (oddChips > 0) oddChips--;
+            w.chips += won;
+            return { id: w.id, nickname: w.nickname, amount: won, ...describe(w) };
+        });
+    };
+    const bestOf = (players, scoreOf) => {
+        const best = Math.max(...players.map(scoreOf));
+        return players.filter(p => scoreOf(p) === best);
+    };
+    const highHand = (results) => (w) => results[w.id]
+        ? { handName: results[w.id].highName, cards: results[w.id].cards }
+        : { handName: null, cards: null };
+    const payPot = (eligible, amount, results) => {
+        if (uncontested || eligible.length === 1) return award(eligible, amount, highHand(results));
+        const highWinners = bestOf(eligible, p => results[p.id].score);
+        const lowHands = eligible.filter(p => results[p.id].low);
+        if (lowHands.length === 0) return award(highWinners, amount, highHand(results));
+
+        // Hi-Lo: half to the best low, the odd chip stays with the high half
+        const lowWinners = bestOf(lowHands, p => results[p.id].low.score);
+        const lowHalf = Math.floor(amount / 2);
+        return award(highWinners, amount - lowHalf, highHand(results)).concat(
+            award(lowWinners, lowHalf, w => ({ handName: results[w.id].low.description, cards: results[w.id].low.cards })));
+    };
+
+    // Contested pots are split evenly between the runs, odd chips to the first runs.
+    // Winners of a run-it-twice pot are tagged with their run (1-based).
+    const potResults = pots.map((pot, i) => {
+        const eligible = candidates.filter(p => pot.eligible.includes(p.id));
+        const runs = uncontested || eligible.length === 1 ? 1 : boards.length;
+        const share = Math.floor(pot.amount / runs);
+        let payouts = [];
+        boardResults.slice(0, runs).forEach((results, run) => {
+            const amount = share + (run < pot.amount - share * runs ? 1 : 0);
+            const paid = payPot(eligible, amount, results);
+            payouts = payouts.concat(runs > 1 ? paid.map(w => ({ ...w, run: run + 1 })) : paid);
+        });
+
+        return {
+            name: i === 0 ? 'Main Pot' : `Side Pot ${i}`,
+            amount: pot.amount,
+            winners: payouts
+        };
+    });
+
+    const winnerIds = [...new Set(potResults.flatMap(pr => pr.winners.map(w => w.id)))];
+    const showdown = uncontested ? [] : showdownOrder(room, candidates, results, winnerIds);
+    showdown.forEach(({ player, shows }) => {
+        player.shownCards = player.hand.map(() => shows);
+        notify(room, shows ? `${player.nickname} shows ${results[player.id].handName}.` : `${player.nickname} mucks.`);
+    });
+    const potText = (pr, winners) =>
+        `${pr.name} (${winners.reduce((sum, w) => sum + w.amount, 0)}): ${winners.map(w => `${w.nickname} (${w.handName})`).join(', ')}`;
+    let message;
+    let runs = null;
+    if (uncontested) {
+        message = `${candidates[0].nickname} wins ${room.pot} chips (everyone else folded).`;
+    } else if (boards.length === 1) {
+        message = potResults.map(pr => potText(pr, pr.winners)).join(' | ');
+    } else {
+        // Pots nobody contested (returned bets) are listed with the first run
+        runs = boards.map((board, run) => ({
+            board,
+            message: `Run ${run + 1}: ` + potResults
+                .map(pr => ({ pr, winners: pr.winners.filter(w => (w.run || 1) === run + 1) }))
+                .filter(x => x.winners.length > 0)
+                .map(x => potText(x.pr, x.winners)).join(' | ')
+        }));
+        message = runs.map(r => r.message).join(' || ');
+    }
+
+    emit(room, 'handResult', {
+        message,
+        winners: winnerIds,
+        pots: potResults,
+        runs // [{ board, message }] when run more than once, else null
+    });
+
+    // The deck would show folded and mucked hands, so the seeds wait for the end of the game
+    const reveal = room.fairness.current;
+    sealSeeds(room);
+
+    if (room.currentHand) {
+        room.currentHand.fairness = reveal && commitment(reveal);
+        // Run more than once: each hand named on every board
+        const handNames = boards.length === 1 ? results : {};
+        if (boards.length > 1 && !uncontested) {
+            candidates.forEach(p => handNames[p.id] = { handName: boardResults.map(r => r[p.id].handName).join(' / ') });
+        }
+        history.finishHandRecord(room.currentHand, room, showdown, handNames, potResults, room.clock());
+        room.handHistory.push(room.currentHand);
+        if (room.handHistory.length > MAX_HISTORY_HANDS) room.handHistory.shift();
+        stats.addHand(room.stats, room.currentHand);
+        emit(room, 'handRecorded', { hand: room.currentHand });
+        room.currentHand = null;
+    }
+    if (isGameOver(room)) revealSeeds(room);
+
+    // Reset for next hand (once the host resumes, if paused)
+    if (room.pausedAt === null) emit(room, 'handComplete', { delayMs: SHOWDOWN_DELAY_MS });
+}
+
+// --- HAND FLOW ---
+
+// Clears the finished (or voided) hand from the table
+function resetHand(room) {
+    room.players.forEach(p => {
+        p.hand = [];
+        p.shownCards = [];
+        p.currentBet = 0;
+        p.totalBet = 0;
+        p.actedInRound = false;
+        if (p.status !== 'sitting-out' && p.status !== 'eliminated') {
+            p.status = p.chips > 0 ? 'waiting' : 'busted';
+        }
+        // Tournament players stay dealt in while away
+        if (p.away && room.config.mode !== 'tournament') p.status = 'sitting-out';
+    });
+    room.pot = 0;
+    room.communityCards = [];
+    room.deadContributions = [];
+    room.currentHand = null;
+    room.runout = false;
+    room.equity = null;
+    room.runItOffer = null;
+    room.extraBoards = [];
+    room.lastAggressorId = null;
+    room.straddleIndex = null;
+    room.straddleToAct = false;
+    room.bombPot = null;
+    room.gameStatus = 'waiting';
+}
+
+function startNextHandOrWait(room) {
+    resetHand(room);
+
+    // Bots buy back in whenever the table allows it
+    room.players.filter(p => p.isBot && p.chips === 0).forEach(p => rebuy(room, p));
+    seatFromWaitlist(room);
+
+    if (room.tournament) {
+        eliminateBustedPlayers(room);
+        if (room.tournament.finished) return;
+    }
+
+    // Check conditions to start new hand
+    const readyPlayers = room.players.filter(p => p.status === 'waiting' || p.status === 'active' || p.status === 'ready');
+
+    // Need the table's minimum number of players with chips (a running tournament plays down to heads-up)
+    const playersWithChips = readyPlayers.filter(p => p.chips > 0);
+    const minPlayers = room.tournament ? 2 : room.config.minPlayers;
+    // Bots don't play on their own once every human has left
+    const humansPresent = room.players.some(p => !p.isBot);
+
+    if (playersWithChips.length >= minPlayers && humansPresent) {
+        startGame(room);
+    } else {
+        notify(room, `Waiting for more players or rebuys (Min ${minPlayers})...`);
+    }
+}
+
+function startGame(room) {
+    room.gameStatus = 'playing';
+    room.pot = 0;
+    room.communityCards = [];
+    room.highestBet = 0;
+    room.deadContributions = [];
+    room.roundName = 'preflop';
+    if (room.tournament) applyBlindLevel(room);
+
+    // Move the button to the next player who can play this hand
+    const seatCount = room.config.seatCount;
+    const canPlay = (p) => p.seatIndex === room.dealerIndex && p.chips > 0 && p.status !== 'sitting-out';
+    let attempts = 0;
+    do {
+        room.dealerIndex = (room.dealerIndex + 1) % seatCount;
+        attempts++;
+    } while (!room.players.some(canPlay) && attempts < seatCount);
+
+    // Identify players in this hand
+    const playersInHand = dealtIn(room);
+
+    if (playersInHand.length < 2) {
+        room.gameStatus = 'waiting';
+        return;
+    }
+    shuffleForHand(room, playersInHand);
+
+    const holeCards = variants.getVariant(room.config.variant).holeCards;
+    playersInHand.forEach(p => {
+        p.handStartChips = p.chips;
+        refillTimeBank(room, p);
+        p.status = 'active';
+        p.hand = Array.from({ length: holeCards }, () => room.deck.deal());
+        p.currentBet = 0;
+        p.totalBet = 0;
+        p.actedInRound = false;
+        // Send private cards
+        emit(room, 'holeCards', { playerId: p.id, cards: p.hand });
+    });
+
+    room.bombPot = room.nextBombPot;
+    room.nextBombPot = null;
+    room.currentHand = history.createHandRecord(room, playersInHand, room.clock());
+
+    // Blinds
+    // Sort players by seat index to find SB/BB logic relative to dealer
+    playersInHand.sort((a, b) => a.seatIndex - b.seatIndex);
+
+    const positions = blindPositions(room, playersInHand);
+    const { sb: sbPlayer, bb: bbPlayer } = positions;
+    trackMissedBlinds(room, sbPlayer, bbPlayer);
+
+    room.sbIndex = sbPlayer.seatIndex;
+    room.bbIndex = bbPlayer.seatIndex;
+
+    // A bomb pot has no blinds: everyone antes and the hand starts on the flop
+    if (room.bombPot) {
+        startBombPot(room, playersInHand);
+        return;
+    }
+
+    const { smallBlind, bigBlind, ante, anteType } = room.config;
+
+    // Antes go straight into the pot
+    if (ante > 0 && anteType === 'big-blind') {
+        // One ante for the whole table, from the big blind; the blind itself comes first if short
+        const anteAmt = Math.min(Math.max(0, bbPlayer.chips - bigBlind), ante);
+        if (anteAmt > 0) {
+            bbPlayer.chips -= anteAmt;
+            bbPlayer.totalBet += anteAmt;
+            room.pot += anteAmt;
+            history.recordAction(room.currentHand, 'preflop', bbPlayer, 'ante', anteAmt, 0);
+            notify(room, `${bbPlayer.nickname} posts the big blind ante of ${anteAmt}.`);
+        }
+    } else if (ante > 0) {
+        playersInHand.forEach(p => {
+            const anteAmt = Math.min(p.chips, ante);
+            p.chips -= anteAmt;
+            p.totalBet += anteAmt;
+            room.pot += anteAmt;
+            history.recordAction(room.currentHand, 'preflop', p, 'ante', anteAmt, 0);
+        });
+        notify(room, `Everyone posts an ante of ${ante}.`);
+    }
+
+    // Post Blinds
+    // SB
+    let sbAmt = Math.min(sbPlayer.chips, smallBlind);
+    sbPlayer.chips -= sbAmt;
+    sbPlayer.currentBet = sbAmt;
+
+    // BB
+    let bbAmt = Math.min(bbPlayer.chips, bigBlind);
+    bbPlayer.chips -= bbAmt;
+    bbPlayer.currentBet = bbAmt;
+
+    history.recordAction(room.currentHand, 'preflop', sbPlayer, 'small blind', sbAmt, sbAmt);
+    history.recordAction(room.currentHand, 'preflop', bbPlayer, 'big blind', bbAmt, bbAmt);
+    notify(room, `${sbPlayer.nickname} posts the small blind ${sbAmt}, ${bbPlayer.nickname} the big blind ${bbAmt}.`);
+
+    // Players back from sitting out pay what they missed, unless they are in the blinds anyway
+    playersInHand.filter(p => p.missedBlinds).forEach(p => {
+        if (p !== sbPlayer && p !== bbPlayer) postMissedBlinds(room, p);
+        p.missedBlinds = null;
+    });
+
+    // A straddle is a blind raise to twice the big blind, posted before the cards are seen
+    const straddler = straddlePosition(room, playersInHand, positions);
+    const straddleAmt = bigBlind * 2;
+    if (straddler && straddler.straddle && !straddler.away && straddler.chips >= straddleAmt - straddler.currentBet) {
+        straddler.chips -= straddleAmt - straddler.currentBet;
+        straddler.currentBet = straddleAmt;
+        room.straddleIndex = straddler.seatIndex;
+        room.straddleToAct = room.config.straddle === 'button';
+        history.recordAction(room.currentHand, 'preflop', straddler, 'straddle', straddleAmt, straddleAmt);
+        notify(room, `${straddler.nickname} straddles to ${straddleAmt}.`);
+    }
+
+    playersInHand.forEach(p => {
+        if (p.chips === 0) p.status = 'all-in';
+    });
+
+    // A short big blind still sets the bet to call; the big blind gets the option once it comes round.
+    // A straddle sets it instead and is raised like a big blind.
+    const straddled = room.straddleIndex !== null;
+    room.highestBet = straddled ? straddleAmt : bigBlind;
+    room.lastRaiseAmount = straddled && room.config.bettingLimit !== 'fixed-limit' ? straddleAmt : openingRaise(room);
+    room.betsThisStreet = straddled ? 2 : 1; // The big blind is the first bet
+
+    // Under the Gun (left of the big blind) acts first; heads-up that is the button.
+    // After an UTG straddle the next player starts; a button straddle acts after the blinds, see nextTurn.
+    room.currentTurnIndex = straddled && room.config.straddle === 'utg' ? room.straddleIndex : bbPlayer.seatIndex;
+    if (!checkRoundEnd(room)) nextTurn(room);
+}
+
+// Everyone puts the same amount in, then straight to the flop
+function startBombPot(room, playersInHand) {
+    const amount = room.bombPot;
+    playersInHand.forEach(p => {
+        const paid = Math.min(p.chips, amount);
+        p.chips -= paid;
+        p.totalBet += paid;
+        room.pot += paid;
+        history.recordAction(room.currentHand, 'preflop', p, 'ante', paid, 0);
+        if (p.chips === 0) p.status = 'all-in';
+    });
+    notify(room, `Bomb pot! Everyone antes ${amount}.`);
+    nextStreet(room);
+}
+
+// The player who may straddle this hand, or null: the one left of the big blind ('utg') or the
+// button ('button'), never a blind, and only with three or more players
+function straddlePosition(room, players, { dealer, sb, bb, nextAfter }) {
+    if (players.length < 3) return null;
+    let p = null;
+    if (room.config.straddle === 'utg') p = nextAfter(bb.seatIndex);
+    else if (room.config.straddle === 'button') p = dealer;
+    return p && p !== sb && p !== bb ? p : null;
+}
+
+// Dealer, small blind and big blind among the given players, plus a seat-order walk from any seat
+function blindPositions(room, players) {
+    const seatCount = room.config.seatCount;
+    const nextAfter = (fromIndex) => {
+        // Circular find next active player
+        for (let i = 1; i <= seatCount; i++) {
+            const p = players.find(pl => pl.seatIndex === (fromIndex + i) % seatCount);
+            if (p) return p;
+        }
+        return players[0];
+    };
+
+    // Heads-up the button posts the small blind (and acts first preflop). Without a
+    // player on the button seat (a dead button) the blinds are the next players after it.
+    const dealer = players.find(p => p.seatIndex === room.dealerIndex) || null;
+    const sb = dealer && players.length === 2 ? dealer : nextAfter(room.dealerIndex);
+    const bb = nextAfter(sb.seatIndex);
+    return { dealer, sb, bb, nextAfter };
+}
+
+// Shuffles with the seed committed to a hand ago and publishes the deck hash
+function shuffleForHand(room, playersInHand) {
+    const f = room.fairness;
+    const serverSeed = f.nextServerSeed;
+    const clientSeed = [...playersInHand]
+        .sort((a, b) => a.seatIndex - b.seatIndex)
+        .map(p => p.clientSeed)
+        .join('|');
+    const nonce = ++f.nonce;
+    const ranks = variants.getVariant(room.config.variant).ranks;
+
+    room.deck = room.createDeck(fairness.createFairRng(serverSeed, clientSeed, nonce), ranks);
+    const order = fairness.deckOrder(room.deck.cards);
+    f.current = {
+        nonce,
+        serverSeed,
+        serverSeedHash: f.nextServerSeedHash,
+        clientSeed,
+        lowestRank: ranks[0],
+        deckHash: fairness.deckHash(order, serverSeed),
+        deck: order
+    };
+
+    // Commit to the next hand's seed before anyone can pick a client seed against it
+    f.nextServerSeed = room.createServerSeed();
+    f.nextServerSeedHash = fairness.sha256(f.nextServerSeed);
+}
+
+// What may be published of a hand's seeds before the reveal
+function commitment({ nonce, serverSeedHash, clientSeed, lowestRank, deckHash }) {
+    return { nonce, serverSeedHash, clientSeed, lowestRank, deckHash };
+}
+
+// Keeps the finished hand's seeds back: the deck order shows every hand that was dealt
+function sealSeeds(room) {
+    const f = room.fairness;
+    if (f.current) f.sealed.push(f.current);
+    if (f.sealed.length > MAX_HISTORY_HANDS) f.sealed.shift();
+    f.current = null;
+}
+
+// Nobody is left to play against: the tournament is over or only bots are in the room
+function isGameOver(room) {
+    if (room.tournament && room.tournament.finished) return true;
+    return !room.players.some(p => !p.isBot) && room.spectators.length === 0;
+}
+
+// Publishes the sealed seeds, in the room state and in each hand's history record
+function revealSeeds(room, reason = 'The game is over') {
+    const f = room.fairness;
+    if (f.sealed.length === 0) return;
+    f.sealed.forEach(reveal => {
+        const record = room.handHistory.find(h => h.fairness && h.fairness.nonce === reveal.nonce);
+        if (record) record.fairness = reveal;
+    });
+    f.lastReveal = f.sealed[f.sealed.length - 1];
+    notify(room, `${reason}: the seeds of ${f.sealed.length} hand${f.sealed.length === 1 ? '' : 's'} are revealed in the hand history.`);
+    f.sealed = [];
+}
+
+// Returns an error for an illegal action, which then changes nothing
+function handlePlayerAction(room, player, data) {
+    const { action, amount } = data;
+
+    if (room.gameStatus !== 'playing' || player.seatIndex !== room.currentTurnIndex) return 'It is not your turn.';
+
+    // The player's bet for this street once the action is taken
+    const toCall = room.highestBet - player.currentBet;
+    const allIn = player.chips + player.currentBet;
+    let total = player.currentBet;
+    if (action === 'fold') {
+        // Always allowed, even when checking is free
+    } else if (action === 'check') {
+        if (toCall > 0) return `You can't check, it is ${toCall} to call.`;
+    } else if (action === 'call') {
+        if (toCall === 0) return 'There is no bet to call.';
+        total = Math.min(allIn, room.highestBet);
+    } else if (action === 'bet' || action === 'raise') {
+        total = parseInt(amount);
+        if (isNaN(total)) return 'Enter an amount to bet.';
+        const error = raiseError(room, player, total);
+        if (error) return error;
+    } else if (action === 'all-in') {
+        total = allIn;
+        const error = total > room.highestBet ? raiseError(room, player, total) : null;
+        if (error) return error;
+    } else {
+        return `Unknown action: ${action}`;
+    }
+
+    chargeTimeBank(room, player);
+    const betBefore = player.currentBet;
+    const highestBefore = room.highestBet;
+
+    if (action === 'fold') {
+        player.status = 'folded';
+    } else {
+        player.chips -= total - player.currentBet;
+        player.currentBet = total;
+        if (player.chips === 0) player.status = 'all-in';
+    }
+    if (total > highestBefore) {
+        // Only a full raise reopens the betting
+        if (isFullRaise(room, total - highestBefore)) {
+            if (room.config.bettingLimit !== 'fixed-limit') room.lastRaiseAmount = total - highestBefore;
+            room.betsThisStreet++;
+            room.players.filter(p => p.status === 'active' && p !== player).forEach(p => p.actedInRound = false);
+        }
+        room.highestBet = total;
+    }
+
+    if (action === 'fold') notify(room, `${player.nickname} folds.`);
+    else if (action === 'check') notify(room, `${player.nickname} checks.`);
+    else if (action === 'call') notify(room, `${player.nickname} calls.`);
+    else if (action === 'all-in') notify(room, `${player.nickname} goes All-in!`);
+    else if (player.chips === 0) notify(room, `${player.nickname} is All-in!`);
+    else notify(room, highestBefore === 0 ? `${player.nickname} bets ${total}.` : `${player.nickname} raises to ${total}.`);
+
+    player.actedInRound = true;
+    if (player.seatIndex === room.straddleIndex) room.straddleToAct = false;
+    player.betWhenActed = room.highestBet;
+
+    // Record what it amounted to: an all-in may be a bet, a raise or a call
+    const added = player.currentBet - betBefore;
+    let recorded = 'check';
+    if (player.status === 'folded') recorded = 'fold';
+    else if (player.currentBet > highestBefore) recorded = highestBefore === 0 ? 'bet' : 'raise';
+    if (recorded === 'bet' || recorded === 'raise') room.lastAggressorId = player.id;
+    else if (added > 0) recorded = 'call';
+    history.recordAction(room.currentHand, room.roundName, player, recorded, added, player.currentBet);
+
+    // Advance betting round if everyone has acted; otherwise continue to the next player
+    const roundClosed = checkRoundEnd(room);
+    if (!roundClosed) {
+        nextTurn(room);
+    }
+    return null;
+}
+
+// --- SITTING OUT ---
+
+// Check if that costs nothing, fold otherwise
+function freeAction(room, player) {
+    return room.highestBet === player.currentBet ? 'check' : 'fold';
+}
+
+// Too many timeouts in a row and the player is sat out
+function timeOut(room, player) {
+    player.timeouts = (player.timeouts || 0) + 1;
+    const { maxTimeouts } = room.config;
+    if (maxTimeouts > 0 && player.timeouts >= maxTimeouts && !player.away) {
+        player.away = true;
+        notify(room, `${player.nickname} timed out ${player.timeouts} times in a row and is sitting out.`);
+    }
+    handlePlayerAction(room, player, { action: freeAction(room, player) });
+}
+
+// Cash game players sit out from the next hand; tournament players are blinded away
+function sitOut(room, player) {
+    if (player.away) return 'You are already sitting out.';
+    if (player.status === 'eliminated') return 'You are out of the tournament.';
+    player.away = true;
+    const inHand = room.gameStatus === 'playing' && player.hand.length > 0;
+    const cashGame = room.config.mode !== 'tournament';
+    if (cashGame && !inHand) player.status = 'sitting-out';
+    notify(room, inHand && cashGame
+        ? `${player.nickname} will sit out from the next hand.`
+        : `${player.nickname} is sitting out.`);
+    return null;
+}
+
+function sitIn(room, player) {
+    if (!player.away) return 'You are not sitting out.';
+    player.away = false;
+    player.timeouts = 0;
+    if (player.status === 'sitting-out') player.status = player.chips > 0 ? 'waiting' : 'busted';
+
+    let terms = '';
+    if (player.missedBlinds && room.config.missedBlinds === 'post') terms = ' and posts the missed blinds next hand';
+    if (player.missedBlinds === 'big' && room.config.missedBlinds === 'wait') terms = ' and waits for the big blind';
+    notify(room, `${player.nickname} is back${terms}.`);
+    return null;
+}
+
+// Standing straddle: posted whenever the player is in the straddle seat, from the next hand on
+function setStraddle(room, player, straddle) {
+    if (room.config.straddle === 'off') return 'Straddles are not allowed at this table.';
+    player.straddle = !!straddle;
+    notify(room, straddle ? `${player.nickname} will straddle.` : `${player.nickname} stops straddling.`);
+    return null;
+}
+
+// Turns up some of the player's hole cards once the hand is over (card positions, 0-based).
+// Anyone who didn't fold may show, e.g. after winning without a showdown.
+function showCards(room, player, positions) {
+    if (room.gameStatus !== 'showdown') return 'You can show your cards once the hand is over.';
+    if (player.hand.length === 0) return 'You were not dealt in.';
+    if (player.status === 'folded') return 'Folded hands stay hidden.';
+    const picked = (Array.isArray(positions) ? positions : []).map(Number)
+        .filter(i => Number.isInteger(i) && i >= 0 && i < player.hand.length && !player.shownCards[i]);
+    if (picked.length === 0) return 'Pick a card to show.';
+
+    picked.forEach(i => player.shownCards[i] = true);
+    const lastHand = room.handHistory[room.handHistory.length - 1];
+    if (lastHand) history.recordShownCards(lastHand, player, player.hand.filter((c, i) => player.shownCards[i]));
+    const text = picked.map(i => `${player.hand[i].rank}${player.hand[i].suit}`).join(' ');
+    notify(room, `${player.nickname} shows ${text}.`);
+    return null;
+}
+
+function setAutoMuck(room, player, autoMuck) {
+    player.autoMuck = !!autoMuck;
+    return null;
+}
+
+// Players with chips who are not sitting out. Under the 'wait' rule someone who
+// missed the big blind is only dealt in once it reaches them.
+function dealtIn(room) {
+    const ready = room.players.filter(p => p.chips > 0 && p.status !== 'sitting-out');
+    if (room.config.missedBlinds !== 'wait') return ready;
+
+    const playing = ready.filter(p => p.missedBlinds !== 'big');
+    if (playing.length < 2) return ready; // Nobody to wait for
+    const due = ready.find(p => p.missedBlinds === 'big' && blindPositions(room, playing.concat(p)).bb === p);
+    return due ? playing.concat(due) : playing;
+}
+
+// A player sitting out misses a blind when it moves past their seat.
+// Called before room.sbIndex / room.bbIndex move on to this hand's blinds.
+function trackMissedBlinds(room, sbPlayer, bbPlayer) {
+    if (room.config.missedBlinds === 'free' || room.bbIndex === undefined) return;
+    const n = room.config.seatCount;
+    const distance = (from, to) => (to - from + n) % n;
+    const passed = (from, to, seat) => distance(from, seat) > 0 && distance(from, seat) < distance(from, to);
+
+    room.players.filter(p => p.status === 'sitting-out' && p.chips > 0).forEach(p => {
+        if (passed(room.bbIndex, bbPlayer.seatIndex, p.seatIndex)) p.missedBlinds = 'big';
+        else if (passed(room.sbIndex, sbPlayer.seatIndex, p.seatIndex) && !p.missedBlinds) p.missedBlinds = 'small';
+    });
+}
+
+// The big blind is live, the small blind dead (straight into the pot)
+function postMissedBlinds(room, player) {
+    const { smallBlind, bigBlind } = room.config;
+    const live = player.missedBlinds === 'big' ? Math.min(player.chips, bigBlind) : 0;
+    player.chips -= live;
+    player.currentBet = live;
+    const dead = Math.min(player.chips, smallBlind);
+    player.chips -= dead;
+    player.totalBet += dead;
+    room.pot += dead;
+
+    if (live > 0) history.recordAction(room.currentHand, 'preflop', player, 'small & big blinds', live + dead, live);
+    else history.recordAction(room.currentHand, 'preflop', player, 'small blind', dead, 0);
+}
+
+// --- SEATS ---
+
+// Returns an error message, or null once seated
+function addPlayer(room, { id, nickname, isBot = false, botStyle = null, clientSeed, address = null }) {
+    if (isBanned(room, { nickname, address })) return 'You are banned from this room.';
+    if (nicknameTaken(room, id, nickname)) return 'Someone in this room already has that nickname.';
+    if (room.tournament) return 'Tournament already started';
+    if (room.players.length >= room.config.maxPlayers) return 'Room is full';
+
+    // Assign Seat
+    const takenSeats = room.players.map(p => p.seatIndex);
+    let seat = 0;
+    while (takenSeats.includes(seat) && seat < room.config.seatCount) seat++;
+
+    const player = {
+        id,
+        nickname: nickname.substring(0, 12),
+        chips: room.config.startingChips,
+        rebuys: 0,
+        seatIndex: seat,
+        status: 'waiting',
+        hand: [],
+        shownCards: [], // Per hole card, turned up at showdown
+        currentBet: 0,
+        totalBet: 0,
+        actedInRound: false,
+        straddle: false,
+        autoMuck: true, // Muck losing hands at showdown instead of showing them
+        disconnected: false,
+        timeBankMs: room.config.timeBankSec * 1000,
+        clientSeed: cleanClientSeed(clientSeed) || id,
+        address
+    };
+    if (isBot) {
+        player.isBot = true;
+        player.botStyle = botStyle;
+    }
+
+    room.players.push(player);
+    if (!isBot && !room.hostId) room.hostId = id;
+    ledger.recordEntry(room.ledger, 'buy-in', player, player.chips, room.clock());
+    return null;
+}
+
+// The ledger, stats and bans go by nickname, so two members of a room can't share one, in any case
+function nicknameTaken(room, id, nickname) {
+    const name = nickname.substring(0, 12).toLowerCase();
+    return room.players.concat(room.spectators).some(m => m.id !== id && m.nickname.toLowerCase() === name);
+}
+
+// Client seeds are free text, kept short and without the '|' that joins them
+function cleanClientSeed(seed) {
+    if (typeof seed !== 'string') return '';
+    return seed.replace(/\|/g, '').trim().substring(0, MAX_CLIENT_SEED_LENGTH);
+}
+
+// Returns an error message, or null once stored; used from the next hand on
+function setClientSeed(room, player, seed) {
+    const clean = cleanClientSeed(seed);
+    if (!clean) return 'Client seed cannot be empty.';
+    player.clientSeed = clean;
+    return null;
+}
+
+function removePlayer(room, p) {
+    const pIndex = room.players.indexOf(p);
+    if (pIndex === -1) return;
+
+    // Mid-hand their hand is folded and their chips stay in the pot for side pot construction
+    const inHand = room.gameStatus === 'playing' && p.hand.length > 0;
+    const wasTurn = inHand && p.seatIndex === room.currentTurnIndex;
+    if (inHand) {
+        if (p.status !== 'folded') history.recordAction(room.currentHand, room.roundName, p, 'fold');
+        p.status = 'folded';
+        room.pot += p.currentBet;
+        room.deadContributions.push({ id: p.id, seat: p.seatIndex, contributed: p.totalBet + p.currentBet, folded: true });
+    }
+    room.players.splice(pIndex, 1);
+
+    // The hand goes on without them: to the next player, or on to the showdown
+    if (wasTurn) {
+        if (!checkRoundEnd(room)) nextTurn(room);
+    } else if (inHand) {
+        checkRoundEnd(room);
+    }
+
+    // Cash game stacks leave with the player; tournament chips are only worth a payout
+    if (!room.tournament) ledger.recordEntry(room.ledger, 'cash-out', p, p.chips, room.clock());
+    notify(room, `${p.nickname} left.`);
+    seatFromWaitlist(room);
+
+    // Leaving a running tournament counts as being knocked out
+    const t = room.tournament;
+    if (t && !t.finished && p.status !== 'eliminated') {
+        t.eliminated.push({ id: p.id, nickname: p.nickname });
+        const alive = room.players.filter(pl => pl.status !== 'eliminated');
+        if (alive.length === 1 && room.gameStatus !== 'playing') {
+            finishTournament(room, alive[0]);
+        }
+    }
+}
+
+// --- SPECTATORS ---
+
+// Returns an error message, or null once watching
+function addSpectator(room, { id, nickname, clientSeed, address = null }) {
+    if (isBanned(room, { nickname, address })) return 'You are banned from this room.';
+    if (nicknameTaken(room, id, nickname)) return 'Someone in this room already has that nickname.';
+    room.spectators.push({ id, nickname: nickname.substring(0, 12), clientSeed, address });
+    if (!room.hostId) room.hostId = id;
+    return null;
+}
+
+function removeSpectator(room, spectator) {
+    room.spectators.splice(room.spectators.indexOf(spectator), 1);
+    room.waitlist = room.waitlist.filter(id => id !== spectator.id);
+}
+
+function hasOpenSeat(room) {
+    return !room.tournament && room.players.length < room.config.maxPlayers;
+}
+
+// Returns an error message, or null once the spectator is seated
+function takeSeat(room, spectator) {
+    if (room.gameStatus === 'playing') return 'You can take a seat once this hand is over.';
+    const error = addPlayer(room, spectator);
+    if (error) return error;
+    removeSpectator(room, spectator);
+    return null;
+}
+
+function joinWaitlist(room, spectator) {
+    if (room.tournament) return 'Tournament already started';
+    if (room.waitlist.includes(spectator.id)) return 'You are already on the waitlist.';
+    if (hasOpenSeat(room) && room.waitlist.length === 0) return 'There is an open seat, take it.';
+    room.waitlist.push(spectator.id);
+    notify(room, `${spectator.nickname} joined the waitlist (#${room.waitlist.length}).`);
+    return null;
+}
+
+// Open seats go to the waitlist in order, between hands only
+function seatFromWaitlist(room) {
+    while (room.waitlist.length > 0 && hasOpenSeat(room) && room.gameStatus !== 'playing') {
+        const spectator = room.spectators.find(s => s.id === room.waitlist[0]);
+        room.waitlist.shift();
+        if (spectator && !takeSeat(room, spectator)) {
+            notify(room, `${spectator.nickname} takes a seat from the waitlist.`);
+        }
+    }
+}
+
+// --- CHIPS ---
+
+// Returns an error message, or null once the chips are added
+function rebuy(room, player) {
+    const { rebuyAmount, maxRebuys } = room.config;
+
+    if (player.chips > 0) return 'You still have chips.';
+    if (rebuyAmount === 0) return 'Rebuys are disabled at this table.';
+    if (maxRebuys > 0 && player.rebuys >= maxRebuys) return `Rebuy limit reached (${maxRebuys}).`;
+    if (room.tournament && !tournament.isRebuyOpen(room.config, room.tournament)) return 'The rebuy period is over.';
+    // Only rebuy between hands, or while not part of the hand being played
+    if (room.gameStatus === 'playing' && player.status !== 'busted' && player.status !== 'waiting') {
+        return 'You can rebuy once this hand is over.';
+    }
+
+    player.chips += rebuyAmount;
+    player.rebuys++;
+    ledger.recordEntry(room.ledger, 'rebuy', player, rebuyAmount, room.clock());
+    if (room.tournament) room.tournament.rebuys++;
+    if (room.gameStatus === 'playing') player.status = 'waiting';
+    notify(room, `${player.nickname} rebought ${rebuyAmount} chips.`);
+    return null;
+}
+
+function addOn(room, player) {
+    if (!room.tournament) return 'No add-on available.';
+    if (!tournament.isAddOnOpen(room.config, room.tournament) || player.addOn) return 'No add-on available.';
+    if (room.gameStatus === 'playing' && (player.status === 'active' || player.status === 'all-in')) {
+        return 'Add-on can be taken between hands.';
+    }
+
+    player.chips += room.config.addOnAmount;
+    player.addOn = true;
+    ledger.recordEntry(room.ledger, 'add-on', player, room.config.addOnAmount, room.clock());
+    if (player.status === 'busted') player.status = 'waiting';
+    room.tournament.addOns++;
+    notify(room, `${player.nickname} took the add-on (${room.config.addOnAmount} chips).`);
+    return null;
+}
+
+// --- TOURNAMENT ---
+
+function startTournament(room) {
+    room.tournament = tournament.createTournament(room, room.clock());
+    notify(room, `Tournament started with ${room.tournament.entries} players!`);
+    emit(room, 'levelTimer', { ms: tournament.msUntilNextLevel(room.config, room.tournament, room.clock()) });
+}
+
+function advanceLevel(room) {
+    const t = room.tournament;
+    if (!t || t.finished) return;
+
+    const wasRebuyOpen = tournament.isRebuyOpen(room.config, t);
+    t.level = tournament.levelAt(room.config, t, room.clock());
+    announceLevel(room);
+    if (wasRebuyOpen && !tournament.isRebuyOpen(room.config, t)) {
+        notify(room, 'The rebuy period is over.');
+    }
+
+    emit(room, 'levelTimer', { ms: tournament.msUntilNextLevel(room.config, t, room.clock()) });
+    // Busted players may have been waiting on the rebuy period
+    if (room.gameStatus === 'waiting') startNextHandOrWait(room);
+}
+
+function announceLevel(room) {
+    const level = room.tournament.level;
+    const { smallBlind, bigBlind, ante } = room.config.blindSchedule[level];
+    notify(room, `Level ${level + 1}: blinds ${smallBlind}/${bigBlind}${ante ? ` ante ${ante}` : ''} from the next hand.`);
+}
+
+// Current level's blinds become the table's blinds for the next hand
+function applyBlindLevel(room) {
+    Object.assign(room.config, room.config.blindSchedule[room.tournament.level]);
+}
+
+function eliminateBustedPlayers(room) {
+    const t = room.tournament;
+    if (t.finished) return;
+
+    // Busted players stay alive while they can still rebuy
+    const { maxRebuys } = room.config;
+    const canRebuy = (p) => tournament.isRebuyOpen(room.config, t) && (maxRebuys === 0 || p.rebuys < maxRebuys);
+    const busted = room.players.filter(p => p.status === 'busted' && !canRebuy(p));
+
+    // Busted in the same hand: the bigger starting stack finishes higher
+    busted.sort((a, b) => (a.handStartChips || 0) - (b.handStartChips || 0));
+    busted.forEach(p => {
+        p.status = 'eliminated';
+        t.eliminated.push({ id: p.id, nickname: p.nickname });
+        const place = room.players.filter(pl => pl.status !== 'eliminated').length + 1;
+        notify(room, `${p.nickname} is eliminated in place ${place}.`);
+    });
+
+    const alive = room.players.filter(p => p.status !== 'eliminated');
+    if (alive.length === 1 && alive[0].chips > 0) {
+        finishTournament(room, alive[0]);
+    }
+}
+
+function finishTournament(room, winner) {
+    const t = room.tournament;
+    t.finished = true;
+    t.standings = tournament.computeStandings(room.config, t, winner);
+    room.gameStatus = 'finished';
+    t.standings.filter(s => s.payout > 0).forEach(s => {
+        ledger.recordEntry(room.ledger, 'cash-out', s, s.payout, room.clock());
+    });
+
+    emit(room, 'levelTimer', { ms: null });
+    emit(room, 'tournamentResult', {
+        standings: t.standings,
+        prizePool: tournament.prizePool(room.config, t)
+    });
+    notify(room, `${winner.nickname} wins the tournament!`);
+    revealSeeds(room);
+}
+
+// --- HOST ---
+// dispatch() only runs these for the host, see HOST_COMMANDS
+
+const HOST_COMMANDS = ['start', 'kick', 'setPaused', 'moveSeat', 'adjustStack', 'setBlinds', 'callBombPot', 'setRoomAccess', 'makeHost', 'revealSeeds'];
+const BOMB_POT_BIG_BLINDS = 5; // Default bomb pot ante
+const MAX_REASON_LENGTH = 60;
+const MAX_PASSWORD_LENGTH = 32;
+
+// Clock for the tournament levels, which stands still while paused
+function tableTime(room) {
+    return room.pausedAt !== null ? room.pausedAt : room.clock();
+}
+
+// Nickname or address, so a new tab or name alone doesn't get back in
+function isBanned(room, { nickname, address }) {
+    const name = String(nickname || '').substring(0, 12).toLowerCase();
+    return room.bans.some(b => b.nickname === name || (address && b.address === address));
+}
+
+// When the host is gone the longest-seated connected player takes over, then spectators
+function passHost(room) {
+    const candidates = room.players.filter(p => !p.isBot).concat(room.spectators);
+    if (candidates.some(m => m.id === room.hostId)) return;
+    const next = candidates.find(m => !m.disconnected) || candidates[0];
+    room.hostId = next ? next.id : null;
+    if (next) notify(room, `${next.nickname} is now the host.`);
+}
+
+function makeHost(room, target) {
+    if (target.isBot) return 'A bot cannot be host.';
+    room.hostId = target.id;
+    notify(room, `${target.nickname} is now the host.`);
+    return null;
+}
+
+// Removes a player or spectator; a ban also keeps their nickname and address out
+function kick(room, host, target, ban) {
+    if (target === host) return 'You cannot kick yourself.';
+    if (ban && !target.isBot) room.bans.push({ nickname: target.nickname.toLowerCase(), address: target.address || null });
+    notify(room, `${target.nickname} was ${ban ? 'banned' : 'removed'} by the host.`);
+    if (room.players.includes(target)) removePlayer(room, target);
+    else removeSpectator(room, target);
+    emit(room, 'kicked', { playerId: target.id, banned: !!ban });
+    return null;
+}
+
+// Stops the turn, run-out, showdown and level clocks; resuming gives the player to act a fresh turn
+function setPaused(room, host, paused) {
+    if (paused === (room.pausedAt !== null)) return paused ? 'The game is already paused.' : 'The game is not paused.';
+    const t = room.tournament;
+    const levelsRunning = t && !t.finished;
+
+    if (paused) {
+        room.pausedAt = room.clock();
+        emit(room, 'pause');
+        if (levelsRunning) emit(room, 'levelTimer', { ms: null });
+        notify(room, `${host.nickname} paused the game.`);
+        return null;
+    }
+
+    if (levelsRunning) t.startedAt += room.clock() - room.pausedAt;
+    room.pausedAt = null;
+    notify(room, `${host.nickname} resumed the game.`);
+    if (levelsRunning) emit(room, 'levelTimer', { ms: tournament.msUntilNextLevel(room.config, t, room.clock()) });
+    if (room.gameStatus === 'playing' && room.runout) {
+        scheduleRunout(room);
+    } else if (room.gameStatus === 'playing') {
+        startTurn(room, room.players.find(p => p.seatIndex === room.currentTurnIndex));
+    } else if (room.gameStatus === 'showdown') {
+        emit(room, 'handComplete', { delayMs: SHOWDOWN_DELAY_MS });
+    }
+    return null;
+}
+
+function moveSeat(room, target, seat) {
+    if (room.gameStatus === 'playing') return 'Players can be moved between hands.';
+    const seatIndex = parseInt(seat);
+    if (isNaN(seatIndex) || seatIndex < 0 || seatIndex >= room.config.seatCount) return 'No such seat.';
+    if (room.players.some(p => p.seatIndex === seatIndex)) return `Seat ${seatIndex + 1} is taken.`;
+
+    target.seatIndex = seatIndex;
+    notify(room, `${target.nickname} moved to seat ${seatIndex + 1}.`);
+    return null;
+}
+
+// Adds (or with a negative amount removes) chips; every change goes in the ledger with who and why
+function adjustStack(room, host, target, chips, reason) {
+    if (room.gameStatus === 'playing') return 'Stacks can be adjusted between hands.';
+    if (target.status === 'eliminated') return `${target.nickname} is out of the tournament.`;
+    const amount = parseInt(chips);
+    if (isNaN(amount) || amount === 0) return 'Enter the number of chips to add or remove.';
+    if (target.chips + amount < 0) return `${target.nickname} only has ${target.chips} chips.`;
+    const why = typeof reason === 'string' ? reason.replace(/[\u0000-\u001f\u007f]/g, ' ').trim().substring(0, MAX_REASON_LENGTH) : '';
+
+    target.chips += amount;
+    if (target.status === 'busted' && target.chips > 0) target.status = 'waiting';
+    ledger.recordEntry(room.ledger, 'adjustment', target, amount, room.clock(), { by: host.nickname, reason: why });
+    notify(room, `${host.nickname} ${amount > 0 ? 'added' : 'removed'} ${Math.abs(amount)} chips ` +
+        `${amount > 0 ? 'to' : 'from'} ${target.nickname}'s stack${why ? ` (${why})` : ''}.`);
+    return null;
+}
+
+// Cash games take new blinds; tournaments jump to a level of their schedule (1-based)
+function setBlinds(room, options) {
+    if (room.gameStatus === 'playing') return 'Blinds can be changed between hands.';
+
+    const t = room.tournament;
+    if (t) {
+        if (t.finished) return 'The tournament is over.';
+        const level = parseInt(options.level) - 1;
+        if (isNaN(level) || level < 0 || level >= room.config.blindSchedule.length) return 'No such level.';
+        // The level starts over from now
+        t.level = level;
+        t.startedAt = tableTime(room) - level * room.config.blindLevelMinutes * 60000;
+        announceLevel(room);
+        if (room.pausedAt === null) emit(room, 'levelTimer', { ms: tournament.msUntilNextLevel(room.config, t, room.clock()) });
+        return null;
+    }
+
+    const { smallBlind, bigBlind, ante } = normalizeBlinds(options, room.config);
+    Object.assign(room.config, { smallBlind, bigBlind, ante });
+    notify(room, `Blinds are now ${smallBlind}/${bigBlind}${ante ? ` ante ${ante}` : ''}.`);
+    return null;
+}
+
+// Queues a bomb pot for the next hand; an ante of 0 calls it off
+function callBombPot(room, host, amount) {
+    const ante = amount === undefined || amount === '' ? room.config.bigBlind * BOMB_POT_BIG_BLINDS : parseInt(amount);
+    if (isNaN(ante) || ante < 0) return 'Enter the bomb pot ante.';
+    if (ante === 0) {
+        if (room.nextBombPot === null) return 'No bomb pot was called.';
+        room.nextBombPot = null;
+        notify(room, `${host.nickname} called off the bomb pot.`);
+        return null;
+    }
+    room.nextBombPot = ante;
+    notify(room, `${host.nickname} called a bomb pot for the next hand: everyone antes ${ante}.`);
+    return null;
+}
+
+function newAccessKey() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// With the room's random salt, so the saved file doesn't show which rooms share a password
+function hashPassword(salt, password) {
+    return crypto.createHash('sha256').update(`${salt}:${password}`).digest('hex');
+}
+
+// password: new password, '' to remove it, undefined to keep it; isPrivate: undefined to keep it
+function setRoomAccess(room, host, { password, isPrivate }) {
+    if (password !== undefined && password !== null) {
+        const clean = String(password).substring(0, MAX_PASSWORD_LENGTH);
+        const unchanged = clean ? hashPassword(room.passwordSalt, clean) === room.passwordHash : !room.passwordHash;
+        if (!unchanged) {
+            notify(room, !clean ? `${host.nickname} removed the room password.`
+                : room.passwordHash ? `${host.nickname} changed the room password.` : `${host.nickname} set a room password.`);
+            room.passwordSalt = clean ? crypto.randomBytes(16).toString('hex') : null;
+            room.passwordHash = clean ? hashPassword(room.passwordSalt, clean) : null;
+            // Links handed out under the old password stop working
+            room.accessKey = newAccessKey();
+            emit(room, 'accessKey', { key: room.accessKey });
+        }
+    }
+    if (isPrivate !== undefined && !!isPrivate !== room.isPrivate) {
+        room.isPrivate = !!isPrivate;
+        notify(room, room.isPrivate
+            ? `${host.nickname} made the room private: it is no longer listed in the lobby.`
+            : `${host.nickname} listed the room in the lobby.`);
+    }
+    return null;
+}
+
+// --- PERSISTENCE ---
+
+// Everything that makes up a table; events, the deck and the injected functions are rebuilt
+const SAVED_FIELDS = [
+    'config', 'players', 'spectators', 'waitlist', 'gameStatus', 'dealerIndex', 'sbIndex', 'bbIndex', 'currentTurnIndex',
+    'highestBet', 'lastRaiseAmount', 'betsThisStreet', 'roundName', 'pot', 'communityCards', 'deadContributions',
+    'handHistory', 'currentHand', 'stats', 'tournament', 'fairness', 'ledger', 'hostId', 'bans', 'passwordHash', 'passwordSalt', 'accessKey', 'isPrivate', 'pausedAt', 'nextBombPot'
+];
+
+function snapshot(room) {
+    const saved = { id: room.id, savedAt: room.clock() };
+    SAVED_FIELDS.forEach(f => saved[f] = room[f]);
+    return saved;
+}
+
+// Gives every chip bet in the current hand back, as if it was never dealt
+function voidHand(room) {
+    room.players.forEach(p => {
+        p.chips += p.totalBet + p.currentBet;
+    });
+    // Players who left mid-hand get theirs back as a late cash-out; they are matched by their buy-in
+    room.deadContributions.forEach(c => {
+        const leaver = room.ledger.find(e => e.playerId === c.id);
+        if (!room.tournament && leaver && c.contributed > 0) {
+            ledger.recordEntry(room.ledger, 'cash-out', { id: c.id, nickname: leaver.nickname, isBot: leaver.isBot }, c.contributed, room.clock());
+        }
+    });
+    // Sealed like any other hand: its cards were dealt
+    sealSeeds(room);
+    resetHand(room);
+}
+
+// First command after a restore: nobody is connected and no timers are running
+function resumeAfterRestart(room) {
+    room.players.forEach(p => {
+        if (!p.isBot) p.disconnected = true;
+    });
+
+    if (room.gameStatus === 'playing') {
+        voidHand(room);
+        notify(room, 'The server restarted mid-hand. The hand was voided and all bets returned.');
+    } else if (room.gameStatus === 'showdown') {
+        // Pots were already paid out
+        resetHand(room);
+        if (room.tournament) eliminateBustedPlayers(room);
+    }
+
+    // The blind clock stood still while the server was down (a pause covers that already)
+    const t = room.tournament;
+    if (t && !t.finished && room.pausedAt === null) {
+        t.startedAt += room.clock() - room.restoredFrom;
+        emit(room, 'levelTimer', { ms: tournament.msUntilNextLevel(room.config, t, room.clock()) });
+    }
+    room.restoredFrom = null;
+}
+
+// --- PUBLIC API ---
+
+class TableEngine {
+    /**
+     * @param {string} id      Room name
+     * @param {object} config  Table options, see config.js
+     * @param {object} [options]
+     * @param {function} [options.rng]              () => [0, 1), source of the server seeds
+     * @param {function} [options.createServerSeed] () => string, overrides rng for the seeds
+     * @param {function} [options.clock]            () => ms timestamp
+     * @param {function} [options.createDeck]       (rng, ranks) => Deck, to stack the deck
+     */
+    constructor(id, config, options = {}) {
+        this.room = createRoom(id, config, options);
+    }
+
+    // Rebuilds a table from snapshot(); dispatch 'resume' before anything else
+    static restore(saved, options = {}) {
+        const engine = new TableEngine(saved.id, saved.config, options);
+        SAVED_FIELDS.forEach(f => {
+            if (saved[f] !== undefined) engine.room[f] = saved[f];
+        });
+        // Settings added since the snapshot was taken keep their defaults, as do the sealed seeds
+        engine.room.config = { ...normalizeConfig(saved.config), ...saved.config };
+        engine.room.fairness.sealed = engine.room.fairness.sealed || [];
+        engine.room.stats = stats.createTotals(saved.stats);
+        engine.room.restoredFrom = saved.savedAt;
+        return engine;
+    }
+
+    // Plain data for the store, see restore()
+    snapshot() {
+        return snapshot(this.room);
+    }
+
+    get id() {
+        return this.room.id;
+    }
+
+    get config() {
+        return this.room.config;
+    }
+
+    // Goes to members only, see setRoomAccess()
+    get accessKey() {
+        return this.room.accessKey;
+    }
+
+    get status() {
+        return this.room.gameStatus;
+    }
+
+    get handHistory() {
+        return this.room.handHistory;
+    }
+
+    // Nobody left but bots
+    get isEmpty() {
+        return !this.room.players.some(p => !p.isBot) && this.room.spectators.length === 0;
+    }
+
+    getPlayer(playerId) {
+        return this.room.players.find(p => p.id === playerId);
+    }
+
+    getSpectator(spectatorId) {
+        return this.room.spectators.find(s => s.id === spectatorId);
+    }
+
+    isHost(playerId) {
+        return playerId !== undefined && playerId === this.room.hostId;
+    }
+
+    getState() {
+        return publicState(this.room);
+    }
+
+    // Error message for someone joining the room, or null to let them in
+    checkPassword(password) {
+        const room = this.room;
+        if (!room.passwordHash) return null;
+        if (!password) return 'This room needs a password.';
+        return hashPassword(room.passwordSalt, String(password).substring(0, MAX_PASSWORD_LENGTH)) === room.passwordHash ? null : 'Wrong password.';
+    }
+
+    // One line of the lobby's room list
+    lobbyInfo() {
+        const room = this.room;
+        const humans = room.players.filter(p => !p.isBot);
+        return {
+            id: room.id,
+            game: variants.gameNames(variants.getVariant(room.config.variant), room.config.bettingLimit).name,
+            mode: room.config.mode,
+            smallBlind: room.config.smallBlind,
+            bigBlind: room.config.bigBlind,
+            ante: room.config.ante,
+            players: room.players.length,
+            bots: room.players.length - humans.length,
+            maxPlayers: room.config.maxPlayers,
+            spectators: room.spectators.length,
+            status: room.pausedAt !== null ? 'paused' : room.gameStatus,
+            hasPassword: !!room.passwordHash,
+            isPrivate: room.isPrivate
+        };
+    }
+
+    // Results per player and the transfers that settle them, see ledger.js
+    getLedger() {
+        const room = this.room;
+        return ledger.buildReport(room.ledger, room.players, room.config, room.gameStatus === 'playing', room.deadContributions);
+    }
+
+    // Everyone who played a hand here, see stats.js
+    getStats() {
+        return stats.leaderboard(this.room.stats);
+    }
+
+    // What the player to act may do, or null if it isn't their turn
+    turnInfo(playerId) {
+        const room = this.room;
+        const player = this.getPlayer(playerId);
+        if (!player || room.gameStatus !== 'playing' || room.currentTurnIndex !== player.seatIndex) return null;
+        return turnInfo(room, player);
+    }
+
+    // Everything a bot needs to decide, from the bot's own seat
+    botView(playerId) {
+        const room = this.room;
+        const bot = this.getPlayer(playerId);
+        const info = this.turnInfo(playerId);
+        if (!info) return null;
+        return {
+            ...info,
+            variant: room.config.variant,
+            hand: bot.hand,
+            communityCards: room.communityCards,
+            pot: room.pot + room.players.reduce((sum, p) => sum + p.currentBet, 0),
+            chips: bot.chips,
+            currentBet: bot.currentBet,
+            opponents: room.players.filter(p => p !== bot && (p.status === 'active' || p.status === 'all-in')).length
+        };
+    }
+
+    /**
+     * Runs one command against the table.
+     * Commands: join, leave, watch, takeSeat, joinWaitlist, leaveWaitlist,
+     *           setConnected, setClientSeed, start, act, useTimeBank, timeout, sitOut, sitIn,
+     *           setStraddle, setAutoMuck, showCards, runOut, chooseRuns, nextHand, rebuy, addOn,
+     *           advanceLevel, resume
+     * Host only (playerId is the host, targetId who it applies to):
+     *           start, kick, setPaused, moveSeat, adjustStack, setBlinds, callBombPot, setRoomAccess, makeHost
+     * Returns { state, events, error } - error is a message for the requester only.
+     */
+    dispatch(command) {
+        const room = this.room;
+        if (HOST_COMMANDS.includes(command.type) && !this.isHost(command.playerId)) {
+            return { state: publicState(room), events: [], error: 'Only the host can do that.' };
+        }
+
+        room.events = [];
+        const player = command.playerId !== undefined ? this.getPlayer(command.playerId) : null;
+        const spectator = command.playerId !== undefined ? this.getSpectator(command.playerId) : null;
+        const target = command.targetId !== undefined
+            ? this.getPlayer(command.targetId) || this.getSpectator(command.targetId) : null;
+        const targetPlayer = target && room.players.includes(target) ? target : null;
+        const paused = room.pausedAt !== null;
+        let error = null;
+
+        switch (command.type) {
+            case 'join':
+                error = addPlayer(room, command.player);
+                if (!error) {
+                    const seated = this.getPlayer(command.player.id);
+                    notify(room, seated.isBot
+                        ? `${seated.nickname} (${command.label || seated.botStyle}) joined the table.`
+                        : `${seated.nickname} joined the table.`);
+                }
+                break;
+            case 'leave':
+                if (player) removePlayer(room, player);
+                if (spectator) removeSpectator(room, spectator);
+                passHost(room);
+                if (isGameOver(room)) revealSeeds(room);
+                break;
+            case 'watch':
+                error = addSpectator(room, command.spectator);
+                if (!error) notify(room, `${this.getSpectator(command.spectator.id).nickname} is watching.`);
+                break;
+            case 'takeSeat':
+                if (!spectator) break;
+                error = takeSeat(room, spectator);
+                if (!error) notify(room, `${spectator.nickname} took a seat.`);
+                break;
+            case 'joinWaitlist':
+                if (spectator) error = joinWaitlist(room, spectator);
+                break;
+            case 'leaveWaitlist':
+                if (spectator) room.waitlist = room.waitlist.filter(id => id !== spectator.id);
+                break;
+            case 'setConnected':
+                if (!player) break;
+                player.disconnected = !command.connected;
+                notify(room, command.connected
+                    ? `${player.nickname} reconnected.`
+                    : `${player.nickname} disconnected (seat held for ${command.graceSec}s).`);
+                break;
+            case 'setClientSeed':
+                if (player || spectator) error = setClientSeed(room, player || spectator, command.seed);
+                break;
+            case 'start': {
+                if (room.gameStatus !== 'waiting') break;
+                if (paused) {
+                    error = 'The game is paused.';
+                    break;
+                }
+                const minPlayers = room.tournament ? 2 : room.config.minPlayers;
+                if (room.players.filter(p => p.chips > 0).length < minPlayers) {
+                    error = `Need at least ${minPlayers} players.`;
+                    break;
+                }
+                if (room.config.mode === 'tournament' && !room.tournament) startTournament(room);
+                startGame(room);
+                break;
+            }
+            case 'act':
+                if (paused) error = 'The game is paused.';
+                else if (player) {
+                    error = handlePlayerAction(room, player, command);
+                    if (!error) player.timeouts = 0;
+                }
+                break;
+            case 'timeout':
+                // Only if it is still that player's turn
+                if (player && !paused && room.gameStatus === 'playing' && room.currentTurnIndex === player.seatIndex) {
+                    timeOut(room, player);
+                }
+                break;
+            case 'useTimeBank':
+                if (paused) error = 'The game is paused.';
+                else if (player) error = useTimeBank(room, player);
+                break;
+            case 'sitOut':
+                if (player) error = sitOut(room, player);
+                break;
+            case 'sitIn':
+                if (player) error = sitIn(room, player);
+                break;
+            case 'showCards':
+                if (player) error = showCards(room, player, command.cards);
+                break;
+            case 'setAutoMuck':
+                if (player) error = setAutoMuck(room, player, command.autoMuck);
+                break;
+            case 'setStraddle':
+                if (player) error = setStraddle(room, player, command.straddle);
+                break;
+            case 'runOut':
+                if (room.gameStatus === 'playing' && room.runout && !paused) runOutStreet(room);
+                break;
+            case 'chooseRuns':
+                if (player) error = chooseRuns(room, player, command.runs);
+                break;
+            case 'nextHand':
+                if (room.gameStatus === 'showdown' && !paused) startNextHandOrWait(room);
+                break;
+            case 'rebuy':
+                if (player) error = rebuy(room, player);
+                break;
+            case 'addOn':
+                if (player) error = addOn(room, player);
+                break;
+            case 'advanceLevel':
+                if (!paused) advanceLevel(room);
+                break;
+            case 'resume':
+                if (room.restoredFrom !== null) resumeAfterRestart(room);
+                break;
+            case 'kick':
+                if (!target) error = 'No such player.';
+                else error = kick(room, player || spectator, target, command.ban);
+                break;
+            case 'setPaused':
+                error = setPaused(room, player || spectator, !!command.paused);
+                break;
+            case 'moveSeat':
+                if (!targetPlayer) error = 'No such player.';
+                else error = moveSeat(room, targetPlayer, command.seat);
+                break;
+            case 'adjustStack':
+                if (!targetPlayer) error = 'No such player.';
+                else error = adjustStack(room, player || spectator, targetPlayer, command.chips, command.reason);
+                break;
+            case 'setBlinds':
+                error = setBlinds(room, command);
+                break;
+            case 'callBombPot':
+                error = callBombPot(room, player || spectator, command.amount);
+                break;
+            case 'setRoomAccess':
+                error = setRoomAccess(room, player || spectator, command);
+                break;
+            case 'makeHost':
+                if (!target) error = 'No such player.';
+                else error = makeHost(room, target);
+                break;
+            case 'revealSeeds':
+                // Ending a cash game, or checking the shuffle mid-game: the folded hands show too
+                if (room.fairness.sealed.length === 0) error = 'There are no finished hands to reveal.';
+                else revealSeeds(room, `${(player || spectator).nickname} asked for the reveal`);
+                break;
+            default:
+                error = `Unknown command: ${command.type}`;
+        }
+
+        const events = room.events;
+        room.events = [];
+        return { state: publicState(room), events, error };
+    }
+}
+
+module.exports = { TableEngine, SHOWDOWN_DELAY_MS };
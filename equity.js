@@ -0,0 +1,161 @@
+/**
+ * EQUITY CALCULATOR
+ * Win and tie chances of known hands against each other, for all-in run-outs
+ * and post-game analysis. Every possible run-out is dealt when there are few
+ * enough of them, random run-outs are sampled otherwise.
+ * It runs on the game server's only thread, so every calculation has a work
+ * budget: trials x hands x the 5-card hands each evaluation looks at.
+ */
+
+const { Deck, combinations } = require('./poker');
+const variants = require('./variants');
+
+const DEFAULT_TRIALS = 5000;
+const MAX_TRIALS = 100000;
+const MAX_WORK = 100000;          // 5-card hands evaluated per calculation, a few tenths of a second
+const MAX_ANALYSIS_WORK = 300000; // Same for the HTTP route
+
+const SUIT_OF_LETTER = { s: '♠', h: '♥', d: '♦', c: '♣' };
+
+function choose(n, k) {
+    let result = 1;
+    for (let i = 0; i < k; i++) result = result * (n - i) / (i + 1);
+    return Math.round(result);
+}
+
+// 5-card hands one player's evaluation looks at on a full board; twice that for Hi-Lo
+function evaluationCost(variant) {
+    const high = variant.rules && variant.rules.exactlyTwo
+        ? choose(variant.holeCards, 2) * choose(5, 3)
+        : choose(variant.holeCards + 5, 5);
+    return variant.hiLo ? high * 2 : high;
+}
+
+// Most run-outs that fit in the work budget for this many hands
+function trialBudget(variant, handCount, maxWork = MAX_WORK) {
+    return Math.floor(maxWork / (handCount * evaluationCost(variant)));
+}
+
+// "AhKd" -> card objects like Deck's; null if any code is not a card of the variant's deck
+function parseCards(text, variant = variants.getVariant()) {
+    const codes = String(text || '').replace(/[\s,]/g, '').match(/.{1,2}/g) || [];
+    const deck = new Deck(Math.random, variant.ranks).cards;
+    const cards = codes.map(code => deck.find(c => c.rank === code[0].toUpperCase() && c.suit === SUIT_OF_LETTER[code[1]]));
+    return cards.every(Boolean) ? cards : null;
+}
+
+// Share of one run-out's pot per hand: [{ share, alone }]. Hi-Lo pots are split
+// between the best high and the best qualifying low.
+function scoreRunout(variant, hands, board) {
+    const results = hands.map(() => ({ share: 0, alone: false }));
+    const split = (winners, amount) => winners.forEach(i => {
+        results[i].share += amount / winners.length;
+    });
+    const bestOf = (scores) => {
+        const best = Math.max(...scores.filter(s => s !== null));
+        return scores.map((s, i) => s === best ? i : -1).filter(i => i >= 0);
+    };
+
+    const high = bestOf(hands.map(h => variants.evaluate(variant, h, board).score));
+    const lows = hands.map(h => {
+        const low = variants.evaluateLowHand(variant, h, board);
+        return low ? low.score : null;
+    });
+    if (lows.some(s => s !== null)) {
+        split(high, 0.5);
+        split(bestOf(lows), 0.5);
+    } else {
+        split(high, 1);
+    }
+    results.forEach(r => r.alone = r.share === 1);
+    return results;
+}
+
+/**
+ * hands: [[card, ...], ...] hole cards per player; board: 0 to 5 cards
+ * options: { variant, trials, rng, dead, maxWork }, dead: cards known to be out of the deck,
+ *   maxWork: budget that caps the trials, see trialBudget
+ * Every run-out is dealt when there are no more of them than trials, else trials are sampled.
+ * Returns { method: 'exact' | 'monte-carlo', runouts, players: [{ win, tie, equity }] }
+ *   win: share of run-outs won alone, tie: share of run-outs with part of the pot,
+ *   equity: expected share of the pot. All between 0 and 1.
+ */
+function calculateEquity(hands, board, { variant = variants.getVariant(), trials = DEFAULT_TRIALS, rng = Math.random, dead = [], maxWork = MAX_WORK } = {}) {
+    const known = hands.flat().concat(board, dead);
+    const isKnown = (c) => known.some(k => k.rank === c.rank && k.suit === c.suit);
+    const remaining = new Deck(Math.random, variant.ranks).cards.filter(c => !isKnown(c));
+    const missing = 5 - board.length;
+
+    const totals = hands.map(() => ({ win: 0, tie: 0, equity: 0 }));
+    const add = (runout) => {
+        scoreRunout(variant, hands, board.concat(runout)).forEach((r, i) => {
+            totals[i].equity += r.share;
+            if (r.alone) totals[i].win++;
+            else if (r.share > 0) totals[i].tie++;
+        });
+    };
+
+    const budget = Math.max(1, Math.min(trials, MAX_TRIALS, trialBudget(variant, hands.length, maxWork)));
+    let method = 'exact';
+    let runouts = choose(remaining.length, missing);
+    if (runouts <= budget) {
+        combinations(remaining, missing).forEach(add);
+    } else {
+        method = 'monte-carlo';
+        runouts = budget;
+        for (let t = 0; t < runouts; t++) {
+            // Partial shuffle: only the cards this run-out needs
+            const cards = [...remaining];
+            for (let i = 0; i < missing; i++) {
+                const j = i + Math.floor(rng() * (cards.length - i));
+                [cards[i], cards[j]] = [cards[j], cards[i]];
+            }
+            add(cards.slice(0, missing));
+        }
+    }
+
+    return {
+        method,
+        runouts,
+        players: totals.map(t => ({ win: t.win / runouts, tie: t.tie / runouts, equity: t.equity / runouts }))
+    };
+}
+
+// For the HTTP route: { hands: 'AhKd,QsQc', board: '2c7d9h', variant: 'holdem', trials }.
+// Returns { variant, board, method, runouts, players: [{ hand, win, tie, equity }] } or { error }.
+function analyze({ hands, board, variant: key, trials } = {}) {
+    if (key !== undefined && !Object.hasOwn(variants.VARIANTS, key)) return { error: `Unknown variant: ${key}` };
+    const variant = variants.getVariant(key);
+
+    const handCodes = String(hands || '').split(',').map(h => h.trim()).filter(Boolean);
+    if (handCodes.length < 2) return { error: 'Give at least two hands, e.g. hands=AhKd,QsQc' };
+    const holeCards = handCodes.map(h => parseCards(h, variant));
+    const badHand = handCodes.find((h, i) => !holeCards[i] || holeCards[i].length !== variant.holeCards);
+    if (badHand) return { error: `Not a ${variant.name} hand (${variant.holeCards} cards): ${badHand}` };
+
+    const boardCards = parseCards(board, variant);
+    if (!boardCards || boardCards.length > 5) return { error: `Not a board: ${board}` };
+
+    const codes = holeCards.flat().concat(boardCards).map(c => c.rank + c.suit);
+    if (new Set(codes).size !== codes.length) return { error: 'The same card is used twice.' };
+    const remaining = new Deck(Math.random, variant.ranks).cards.length - codes.length;
+    if (remaining < 5 - boardCards.length) return { error: 'Not enough cards left to finish the board.' };
+
+    const maxTrials = Math.min(MAX_TRIALS, trialBudget(variant, holeCards.length, MAX_ANALYSIS_WORK));
+    if (maxTrials < 1) return { error: 'Too many hands to compare at once.' };
+    const trialCount = trials === undefined ? Math.min(DEFAULT_TRIALS, maxTrials) : Math.floor(Number(trials));
+    if (!(trialCount >= 1 && trialCount <= maxTrials)) {
+        return { error: `trials must be between 1 and ${maxTrials} for ${holeCards.length} ${variant.name} hands.` };
+    }
+
+    const result = calculateEquity(holeCards, boardCards, { variant, trials: trialCount, maxWork: MAX_ANALYSIS_WORK });
+    return {
+        variant: variant.name,
+        board: boardCards,
+        method: result.method,
+        runouts: result.runouts,
+        players: result.players.map((p, i) => ({ hand: handCodes[i], cards: holeCards[i], ...p }))
+    };
+}
+
+module.exports = { calculateEquity, parseCards, analyze, DEFAULT_TRIALS, MAX_TRIALS, MAX_WORK };
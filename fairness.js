@@ -0,0 +1,129 @@
+/**
+ * PROVABLY FAIR SHUFFLE
+ * Commit-reveal scheme shared by the server and the verification page
+ * (served as /fairness.js), so both compute exactly the same deck.
+ *
+ *   1. A hand ahead, the server publishes sha256(serverSeed), the commitment.
+ *   2. Players may change their client seeds after seeing it; the seeds of the
+ *      players dealt in are combined, in seat order, into the hand's clientSeed.
+ *   3. The deck is shuffled with a SHA-256 stream of serverSeed:clientSeed:nonce
+ *      and sha256(deck order + serverSeed) is published as the deck hash.
+ *   4. Once the game is over (the tournament ends or no human is left in the room),
+ *      or when the host asks for it, the server seeds and deck orders of its finished
+ *      hands are revealed. Not before: the deck order would show the folded and mucked hands.
+ */
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.Fairness = factory();
+})(typeof self !== 'undefined' ? self : this, function() {
+
+    const SUITS = ['♠', '♥', '♦', '♣'];
+    const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', 'T', 'J', 'Q', 'K', 'A'];
+    const SUIT_LETTER = { '♠': 's', '♥': 'h', '♦': 'd', '♣': 'c' };
+
+    // --- SHA-256 (plain JS: the page also runs over plain http on the LAN, without crypto.subtle) ---
+
+    const K = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+
+    // Returns the digest as 8 unsigned 32-bit words
+    function sha256Words(message) {
+        const bytes = new TextEncoder().encode(message);
+        const bitLength = bytes.length * 8;
+        const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(padded.length - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(padded.length - 4, bitLength >>> 0);
+
+        const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const w = new Uint32Array(64);
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        for (let offset = 0; offset < padded.length; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, hh] = h;
+            for (let i = 0; i < 64; i++) {
+                const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const t1 = (hh + S1 + ch + K[i] + w[i]) >>> 0;
+                const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (S0 + maj) >>> 0;
+                hh = g; g = f; f = e; e = (d + t1) >>> 0;
+                d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+            }
+            h[0] = (h[0] + a) >>> 0; h[1] = (h[1] + b) >>> 0; h[2] = (h[2] + c) >>> 0; h[3] = (h[3] + d) >>> 0;
+            h[4] = (h[4] + e) >>> 0; h[5] = (h[5] + f) >>> 0; h[6] = (h[6] + g) >>> 0; h[7] = (h[7] + hh) >>> 0;
+        }
+        return h;
+    }
+
+    function sha256(message) {
+        return sha256Words(message).map(x => x.toString(16).padStart(8, '0')).join('');
+    }
+
+    // --- SHUFFLE ---
+
+    // () => [0, 1) from SHA-256(serverSeed:clientSeed:nonce:block), 53 bits per draw
+    function createFairRng(serverSeed, clientSeed, nonce) {
+        let block = 0;
+        let words = [];
+        const nextWord = () => {
+            if (words.length === 0) words = sha256Words(`${serverSeed}:${clientSeed}:${nonce}:${block++}`);
+            return words.shift();
+        };
+        return () => ((nextWord() >>> 5) * 67108864 + (nextWord() >>> 6)) / 9007199254740992;
+    }
+
+    // Same card order and Fisher-Yates walk as Deck in poker.js.
+    // lowestRank: '2' for the full deck, '6' for Short Deck.
+    function shuffledDeck(serverSeed, clientSeed, nonce, lowestRank = '2') {
+        const rng = createFairRng(serverSeed, clientSeed, nonce);
+        const ranks = RANKS.slice(RANKS.indexOf(lowestRank));
+        const cards = [];
+        for (let s of SUITS) {
+            for (let r of ranks) cards.push(`${r}${SUIT_LETTER[s]}`);
+        }
+        for (let i = cards.length - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [cards[i], cards[j]] = [cards[j], cards[i]];
+        }
+        return cards;
+    }
+
+    // Deck order as card codes, last card is dealt first
+    function deckOrder(cards) {
+        return cards.map(c => `${c.rank}${SUIT_LETTER[c.suit]}`);
+    }
+
+    function deckHash(order, serverSeed) {
+        return sha256(`${order.join(' ')}:${serverSeed}`);
+    }
+
+    // Checks a revealed hand; returns { ok, commitmentOk, deckOk, deckHashOk, deck }
+    function verifyHand({ serverSeed, serverSeedHash, clientSeed, nonce, lowestRank, deckHash: publishedDeckHash, deck }) {
+        const computed = shuffledDeck(serverSeed, clientSeed, nonce, lowestRank);
+        const commitmentOk = sha256(serverSeed) === serverSeedHash;
+        const deckOk = !deck || deck.join(' ') === computed.join(' ');
+        const deckHashOk = !publishedDeckHash || deckHash(computed, serverSeed) === publishedDeckHash;
+        return { ok: commitmentOk && deckOk && deckHashOk, commitmentOk, deckOk, deckHashOk, deck: computed };
+    }
+
+    return { sha256, createFairRng, shuffledDeck, deckOrder, deckHash, verifyHand };
+});
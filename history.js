@@ -0,0 +1,255 @@
+/**
+ * HAND HISTORY MODULE
+ * Structured per-hand records and export to the common text hand-history format
+ */
+
+const { getVariant, gameNames } = require('./variants');
+
+const SUIT_LETTER = { '♠': 's', '♥': 'h', '♦': 'd', '♣': 'c' };
+const STREET_TITLE = { flop: 'Flop', turn: 'Turn', river: 'River' };
+const RUN_TITLE = ['FIRST', 'SECOND', 'THIRD', 'FOURTH']; // Boards when run more than once
+const FORCED_BETS = ['ante', 'small blind', 'big blind', 'small & big blinds', 'straddle']; // Posted before the cards are dealt
+
+let nextHandId = Date.now(); // Unique across rooms for as long as the server runs
+
+function createHandRecord(room, playersInHand, now = Date.now()) {
+    return {
+        id: nextHandId++,
+        roomId: room.id,
+        startedAt: new Date(now).toISOString(),
+        endedAt: null,
+        game: gameNames(getVariant(room.config.variant), room.config.bettingLimit).historyName,
+        smallBlind: room.config.smallBlind,
+        bigBlind: room.config.bigBlind,
+        ante: room.config.ante,
+        bombPot: room.bombPot, // Everyone's ante in a bomb pot, null otherwise
+        seatCount: room.config.seatCount,
+        buttonSeat: room.dealerIndex,
+        seats: playersInHand.map(p => ({
+            seat: p.seatIndex,
+            nickname: p.nickname,
+            isBot: !!p.isBot,
+            stack: p.chips,
+            holeCards: p.hand // null once the hand is over unless shown
+        })),
+        // { street, seat, nickname, type, amount, to, allIn }
+        // type: ante, small blind, big blind, small & big blinds, straddle, fold, check, call, bet, raise
+        actions: [],
+        board: [],
+        extraBoards: [],  // Runs 2..N when the board was run more than once
+        showdown: [],     // { seat, nickname, cards, handName, mucked } in showdown order, cards null if mucked
+        pots: [],         // { name, amount, winners: [{ seat, nickname, amount, handName, run }] }, run only when run more than once
+        contributions: {} // seat -> chips put in over the whole hand
+    };
+}
+
+function recordAction(record, street, player, type, amount = 0, to = 0) {
+    record.actions.push({
+        street,
+        seat: player.seatIndex,
+        nickname: player.nickname,
+        type,
+        amount,
+        to,
+        allIn: player.chips === 0 && amount > 0
+    });
+}
+
+// Closes the record once pots are awarded
+function finishHandRecord(record, room, showdown, results, potResults, now = Date.now()) {
+    record.endedAt = new Date(now).toISOString();
+    record.board = [...room.communityCards];
+    record.extraBoards = room.extraBoards.map(b => [...b]);
+    // Only what the table saw stays in the record: folded and mucked hands are dropped
+    record.showdown = showdown.map(({ player: p, shows }) => ({
+        seat: p.seatIndex,
+        nickname: p.nickname,
+        cards: shows ? p.hand : null,
+        handName: shows && results[p.id] ? results[p.id].handName : null,
+        mucked: !shows
+    }));
+    record.seats.forEach(s => {
+        if (!record.showdown.some(sd => sd.seat === s.seat && !sd.mucked)) s.holeCards = null;
+    });
+    record.pots = potResults.map(pr => ({
+        name: pr.name,
+        amount: pr.amount,
+        winners: pr.winners.map(w => ({
+            seat: room.players.find(p => p.id === w.id).seatIndex,
+            nickname: w.nickname,
+            amount: w.amount,
+            handName: w.handName,
+            ...(w.run ? { run: w.run } : {})
+        }))
+    }));
+    room.players.forEach(p => {
+        if (p.totalBet > 0) record.contributions[p.seatIndex] = p.totalBet;
+    });
+    (room.deadContributions || []).forEach(c => {
+        record.contributions[c.seat] = c.contributed;
+    });
+}
+
+// Cards a player turned up after the hand, e.g. after winning without a showdown
+function recordShownCards(record, player, cards) {
+    const seat = record.seats.find(s => s.seat === player.seatIndex);
+    if (seat) seat.holeCards = cards;
+}
+
+// --- TEXT EXPORT ---
+
+function cardText(card) {
+    return `${card.rank}${SUIT_LETTER[card.suit]}`;
+}
+
+function cardsText(cards) {
+    return `[${cards.map(cardText).join(' ')}]`;
+}
+
+function dateText(iso) {
+    const d = new Date(iso);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getUTCFullYear()}/${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())} ` +
+        `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} UTC`;
+}
+
+function actionText(a) {
+    const allIn = a.allIn ? ' and is all-in' : '';
+    switch (a.type) {
+        case 'ante': return `${a.nickname}: posts the ante ${a.amount}${allIn}`;
+        case 'small blind': return `${a.nickname}: posts small blind ${a.amount}${allIn}`;
+        case 'big blind': return `${a.nickname}: posts big blind ${a.amount}${allIn}`;
+        case 'small & big blinds': return `${a.nickname}: posts small & big blinds ${a.amount}${allIn}`;
+        case 'straddle': return `${a.nickname}: posts straddle ${a.amount}${allIn}`;
+        case 'fold': return `${a.nickname}: folds`;
+        case 'check': return `${a.nickname}: checks`;
+        case 'call': return `${a.nickname}: calls ${a.amount}${allIn}`;
+        case 'bet': return `${a.nickname}: bets ${a.amount}${allIn}`;
+        case 'raise': return `${a.nickname}: raises ${a.raiseBy} to ${a.to}${allIn}`;
+        default: return `${a.nickname}: ${a.type}`;
+    }
+}
+
+// Bet nobody matched: biggest contribution minus the next biggest
+function uncalledBet(record) {
+    const entries = Object.entries(record.contributions).sort((a, b) => b[1] - a[1]);
+    if (entries.length === 0) return null;
+    const amount = entries[0][1] - (entries[1] ? entries[1][1] : 0);
+    if (amount <= 0) return null;
+    const seat = record.seats.find(s => s.seat === Number(entries[0][0]));
+    return { nickname: seat.nickname, seat: seat.seat, amount };
+}
+
+// One hand in the PokerStars-style text format that tracking tools import
+function toText(record) {
+    const lines = [];
+    const seatNo = (seat) => seat + 1;
+
+    lines.push(`PokerStars Hand #${record.id}: ${record.game} (${record.smallBlind}/${record.bigBlind}) - ${dateText(record.startedAt)}`);
+    lines.push(`Table '${record.roomId}' ${record.seatCount}-max Seat #${seatNo(record.buttonSeat)} is the button`);
+    record.seats.forEach(s => lines.push(`Seat ${seatNo(s.seat)}: ${s.nickname} (${s.stack} in chips)`));
+
+    // Raises are written as "raises X to Y", X being the increase over the previous bet
+    let street = 'preflop';
+    let streetBet = 0;
+    let dealtHoleCards = false;
+    const boardAt = { flop: 3, turn: 4, river: 5 };
+
+    record.actions.forEach(a => {
+        if (!FORCED_BETS.includes(a.type) && !dealtHoleCards) {
+            lines.push('*** HOLE CARDS ***');
+            dealtTo(record).forEach(line => lines.push(line));
+            dealtHoleCards = true;
+        }
+        if (a.street !== street) {
+            street = a.street;
+            streetBet = 0;
+            lines.push(streetHeader(record.board, street, boardAt[street]));
+        }
+        const line = { ...a, raiseBy: a.to - streetBet };
+        if (a.type !== 'ante') streetBet = Math.max(streetBet, a.to);
+        lines.push(actionText(line));
+    });
+    if (!dealtHoleCards) {
+        lines.push('*** HOLE CARDS ***');
+        dealtTo(record).forEach(line => lines.push(line));
+    }
+
+    // Streets run out with nobody left to act
+    ['flop', 'turn', 'river'].forEach(st => {
+        if (boardAt[st] <= record.board.length && boardAt[st] > (boardAt[street] || 0)) {
+            lines.push(streetHeader(record.board, st, boardAt[st]));
+        }
+    });
+
+    const uncalled = uncalledBet(record);
+    if (uncalled) lines.push(`Uncalled bet (${uncalled.amount}) returned to ${uncalled.nickname}`);
+
+    if (record.showdown.length > 1) {
+        lines.push('*** SHOW DOWN ***');
+        record.showdown.forEach(s => lines.push(s.mucked ? `${s.nickname}: mucks hand` : `${s.nickname}: shows ${cardsText(s.cards)} (${s.handName})`));
+    }
+
+    // The uncalled bet is part of the last pot we built, but it was returned, not won
+    const pots = record.pots.map(p => ({ ...p, winners: p.winners.map(w => ({ ...w })) }));
+    if (uncalled && pots.length > 0) {
+        const last = pots[pots.length - 1];
+        last.amount -= uncalled.amount;
+        const w = last.winners.find(w => w.seat === uncalled.seat);
+        if (w) w.amount -= uncalled.amount;
+    }
+    const livePots = pots.filter(p => p.amount > 0);
+
+    livePots.forEach((pot, i) => {
+        const from = livePots.length === 1 ? 'pot' : (i === 0 ? 'main pot' : `side pot-${i}`);
+        pot.winners.forEach(w => lines.push(`${w.nickname} collected ${w.amount} from ${from}`));
+    });
+
+    const total = livePots.reduce((sum, p) => sum + p.amount, 0);
+    const potBreakdown = livePots.length > 1
+        ? ' ' + livePots.map((p, i) => `${i === 0 ? 'Main pot' : `Side pot-${i}`} ${p.amount}.`).join(' ')
+        : '';
+    lines.push('*** SUMMARY ***');
+    lines.push(`Total pot ${total}${potBreakdown} | Rake 0`);
+    const boards = [record.board, ...(record.extraBoards || [])];
+    if (boards.length > 1) boards.forEach((b, i) => lines.push(`${RUN_TITLE[i]} Board ${cardsText(b)}`));
+    else if (record.board.length > 0) lines.push(`Board ${cardsText(record.board)}`);
+
+    record.seats.forEach(s => {
+        const won = livePots.reduce((sum, p) =>
+            sum + p.winners.filter(w => w.seat === s.seat).reduce((a, w) => a + w.amount, 0), 0);
+        const shown = record.showdown.length > 1 && record.showdown.find(sd => sd.seat === s.seat && !sd.mucked);
+        const fold = record.actions.find(a => a.seat === s.seat && a.type === 'fold');
+        let summary;
+        if (fold) {
+            summary = fold.street === 'preflop' ? 'folded before Flop' : `folded on the ${STREET_TITLE[fold.street]}`;
+        } else if (shown) {
+            summary = won > 0
+                ? `showed ${cardsText(shown.cards)} and won (${won}) with ${shown.handName}`
+                : `showed ${cardsText(shown.cards)} and lost with ${shown.handName}`;
+        } else {
+            summary = won > 0 ? `collected (${won})` : 'mucked';
+        }
+        lines.push(`Seat ${seatNo(s.seat)}: ${s.nickname} ${summary}`);
+    });
+
+    return lines.join('\n');
+}
+
+// Only the hands that were shown
+function dealtTo(record) {
+    return record.seats.filter(s => s.holeCards).map(s => `Dealt to ${s.nickname} ${cardsText(s.holeCards)}`);
+}
+
+function streetHeader(board, street, count) {
+    const title = street.toUpperCase();
+    if (street === 'flop') return `*** ${title} *** ${cardsText(board.slice(0, 3))}`;
+    return `*** ${title} *** ${cardsText(board.slice(0, count - 1))} ${cardsText(board.slice(count - 1, count))}`;
+}
+
+// All hands of a room, separated by blank lines as the trackers expect
+function toTextFile(records) {
+    return records.map(toText).join('\n\n\n') + '\n';
+}
+
+module.exports = { createHandRecord, recordAction, finishHandRecord, recordShownCards, uncalledBet, toText, toTextFile };
@@ -0,0 +1,168 @@
+/**
+ * BANKROLL LEDGER
+ * Every chip that enters or leaves a room (buy-ins, rebuys, add-ons,
+ * cash-outs and host adjustments), the net result per player and the
+ * transfers that settle up.
+ * Players are matched by nickname, so leaving and rejoining is one account.
+ */
+
+// type: 'buy-in', 'rebuy', 'add-on', 'cash-out', 'adjustment'
+// details: extra fields, e.g. { by, reason } for the host's adjustments
+function recordEntry(ledger, type, player, chips, at, details = {}) {
+    ledger.push({ type, nickname: player.nickname, playerId: player.id, isBot: !!player.isBot, chips, at: new Date(at).toISOString(), ...details });
+}
+
+function toCents(chips, chipValue) {
+    return Math.round(chips * chipValue * 100);
+}
+
+// One row per player: chips in, chips out and the net result.
+// Cash game stacks count as if cashed out now (bets of a running hand included, as if it
+// were voided); tournament chips are only worth their payout.
+// Host adjustments count like buy-ins: chips added are paid for, chips removed paid back.
+// deadContributions: [{ id, contributed }] of players who left the running hand, see voidHand in engine.js
+function summarize(ledger, players, config, handRunning, deadContributions) {
+    const rows = Object.create(null); // nickname -> row
+    const rowFor = (nickname, isBot) => rows[nickname] = rows[nickname] ||
+        { nickname, isBot, buyIns: 0, rebuys: 0, addOns: 0, adjustments: 0, cashedOut: 0, stack: 0 };
+
+    ledger.forEach(e => {
+        const row = rowFor(e.nickname, e.isBot);
+        if (e.type === 'buy-in') row.buyIns += e.chips;
+        else if (e.type === 'rebuy') row.rebuys += e.chips;
+        else if (e.type === 'add-on') row.addOns += e.chips;
+        else if (e.type === 'cash-out') row.cashedOut += e.chips;
+        else if (e.type === 'adjustment' && config.mode === 'cash') row.adjustments += e.chips;
+    });
+    if (config.mode === 'cash') {
+        const inPot = (p) => handRunning ? p.currentBet + p.totalBet : 0;
+        players.forEach(p => rowFor(p.nickname, !!p.isBot).stack += p.chips + inPot(p));
+        if (handRunning) {
+            // Voiding the hand would cash out what the leavers left in the pot, matched by their buy-in
+            deadContributions.forEach(c => {
+                const leaver = ledger.find(e => e.playerId === c.id);
+                if (leaver) rowFor(leaver.nickname, leaver.isBot).cashedOut += c.contributed;
+            });
+        }
+    }
+
+    return Object.values(rows).map(row => {
+        const net = row.cashedOut + row.stack - row.buyIns - row.rebuys - row.addOns - row.adjustments;
+        return { ...row, net, netMoney: toCents(net, config.chipValue) / 100 };
+    });
+}
+
+const MAX_EXACT_SETTLE = 16; // Balances searched for the fewest transfers; beyond that, settled greedily
+
+// Splits balances into the most groups that each add up to zero. A group of n settles in n - 1
+// transfers, so the most groups is the fewest transfers. Searches every subset, fine for a night's players.
+function zeroSumGroups(balances) {
+    const n = balances.length;
+    if (n > MAX_EXACT_SETTLE) return [balances];
+    const size = 1 << n;
+    const sums = new Array(size).fill(0);
+    const groups = new Array(size).fill(0); // Most zero-sum groups the subset splits into
+    for (let mask = 1; mask < size; mask++) {
+        const low = mask & -mask;
+        sums[mask] = sums[mask ^ low] + balances[31 - Math.clz32(low)].cents;
+        let most = 0;
+        for (let i = 0; i < n; i++) {
+            if (mask & (1 << i)) most = Math.max(most, groups[mask ^ (1 << i)]);
+        }
+        groups[mask] = most + (sums[mask] === 0 ? 1 : 0);
+    }
+
+    // Take the balances off one at a time along the best split; reaching zero closes a group
+    const result = [];
+    let group = [];
+    let mask = size - 1;
+    while (mask) {
+        const rest = groups[mask] - (sums[mask] === 0 ? 1 : 0);
+        const i = balances.findIndex((b, i) => (mask & (1 << i)) && groups[mask ^ (1 << i)] === rest);
+        group.push(balances[i]);
+        mask ^= 1 << i;
+        if (sums[mask] === 0) {
+            result.push(group);
+            group = [];
+        }
+    }
+    return result;
+}
+
+// Pays off one group of balances that adds up to zero
+function settleGroup(balances, transfers) {
+    const debtors = balances.filter(b => b.cents < 0).map(b => ({ ...b, cents: -b.cents }));
+    const creditors = balances.filter(b => b.cents > 0).map(b => ({ ...b }));
+    const pay = (from, to, cents) => {
+        transfers.push({ from: from.nickname, to: to.nickname, amount: cents / 100 });
+        from.cents -= cents;
+        to.cents -= cents;
+    };
+
+    // Exact matches first: one transfer settles two players
+    debtors.forEach(d => {
+        const c = creditors.find(c => c.cents > 0 && c.cents === d.cents);
+        if (c) pay(d, c, d.cents);
+    });
+
+    // Then the biggest debt against the biggest credit
+    for (;;) {
+        const d = debtors.filter(x => x.cents > 0).sort((a, b) => b.cents - a.cents)[0];
+        const c = creditors.filter(x => x.cents > 0).sort((a, b) => b.cents - a.cents)[0];
+        if (!d || !c) break;
+        pay(d, c, Math.min(d.cents, c.cents));
+    }
+}
+
+// The fewest transfers (in cents) that settle every human's result.
+// Bots are left out, so whatever was won from or lost to them is reported as unsettled.
+function settleUp(rows, chipValue) {
+    const balances = rows.filter(r => !r.isBot)
+        .map(r => ({ nickname: r.nickname, cents: toCents(r.net, chipValue) }))
+        .filter(b => b.cents !== 0);
+    const unsettled = balances.reduce((sum, b) => sum + b.cents, 0);
+    // The bots as one more player, so that the balances add up; their transfers are dropped
+    if (unsettled !== 0) balances.push({ nickname: null, cents: -unsettled });
+
+    const transfers = [];
+    zeroSumGroups(balances).forEach(group => settleGroup(group, transfers));
+    return { transfers: transfers.filter(t => t.from !== null && t.to !== null), unsettled: unsettled / 100 };
+}
+
+// Who changed which stack, when and why
+function adjustmentLog(ledger) {
+    return ledger.filter(e => e.type === 'adjustment')
+        .map(e => ({ at: e.at, nickname: e.nickname, chips: e.chips, by: e.by, reason: e.reason }));
+}
+
+// { chipValue, players, transfers, unsettled, adjustments }
+//   unsettled: money the humans won from bots (positive) or lost to them (negative)
+function buildReport(ledger, players, config, handRunning = false, deadContributions = []) {
+    const rows = summarize(ledger, players, config, handRunning, deadContributions);
+    return { chipValue: config.chipValue, players: rows, ...settleUp(rows, config.chipValue), adjustments: adjustmentLog(ledger) };
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(report) {
+    const lines = [['Player', 'Buy-ins', 'Rebuys', 'Add-ons', 'Adjustments', 'Cashed out', 'Stack', 'Net chips', 'Net money']];
+    report.players.forEach(r => lines.push([
+        r.isBot ? `${r.nickname} (bot)` : r.nickname,
+        r.buyIns, r.rebuys, r.addOns, r.adjustments, r.cashedOut, r.stack, r.net, r.netMoney.toFixed(2)
+    ]));
+    lines.push([]);
+    lines.push(['From', 'To', 'Amount']);
+    report.transfers.forEach(t => lines.push([t.from, t.to, t.amount.toFixed(2)]));
+    if (report.unsettled !== 0) lines.push(['Unsettled (bots)', '', report.unsettled.toFixed(2)]);
+    if (report.adjustments.length > 0) {
+        lines.push([]);
+        lines.push(['Time', 'Player', 'Chips', 'By', 'Reason']);
+        report.adjustments.forEach(a => lines.push([a.at, a.nickname, a.chips, a.by, a.reason]));
+    }
+    return lines.map(l => l.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = { recordEntry, buildReport, toCsv };
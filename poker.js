@@ -10,8 +10,27 @@ const RANK_VALUE = {
     'T': 10, 'J': 11, 'Q': 12, 'K': 13, 'A': 14
 };
 
+// Deterministic [0, 1) generator (mulberry32), for replayable games
+function createSeededRng(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Short Deck plays without the Twos to Fives
+const SHORT_DECK_RANKS = RANKS.slice(RANKS.indexOf('6'));
+
 class Deck {
-    constructor() {
+    // rng: () => [0, 1), Math.random unless a seeded generator is given
+    // ranks: which ranks the deck holds, in every suit
+    constructor(rng = Math.random, ranks = RANKS) {
+        this.rng = rng;
+        this.ranks = ranks;
         this.cards = [];
         this.reset();
     }
@@ -19,7 +38,7 @@ class Deck {
     reset() {
         this.cards = [];
         for (let s of SUITS) {
-            for (let r of RANKS) {
+            for (let r of this.ranks) {
                 this.cards.push({ rank: r, suit: s, value: RANK_VALUE[r] });
             }
         }
@@ -28,7 +47,7 @@ class Deck {
 
     shuffle() {
         for (let i = this.cards.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.rng() * (i + 1));
             [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
         }
     }
@@ -38,101 +57,197 @@ class Deck {
     }
 }
 
-// Simplified Hand Evaluator (7 cards input -> Best 5 rank)
-// Returns { score: number, name: string, tieBreaker: array }
-// Score tiers: 900 (Royal Flush) ... 100 (High Card)
-function evaluateHand(holeCards, communityCards) {
-    const allCards = [...holeCards, ...communityCards];
-    
-    // Sort by value descending
-    allCards.sort((a, b) => b.value - a.value);
-
-    // Helpers
-    const getCounts = (cards) => {
-        const counts = {};
-        cards.forEach(c => counts[c.rank] = (counts[c.rank] || 0) + 1);
-        return counts;
-    };
-    
-    const isFlush = (cards) => {
-        const suits = {};
-        cards.forEach(c => suits[c.suit] = (suits[c.suit] || []).concat(c));
-        for (let s in suits) {
-            if (suits[s].length >= 5) return suits[s].slice(0, 5); // Return top 5 flush cards
-        }
-        return false;
-    };
+const RANK_NAME = {
+    2: 'Two', 3: 'Three', 4: 'Four', 5: 'Five', 6: 'Six', 7: 'Seven', 8: 'Eight',
+    9: 'Nine', 10: 'Ten', 11: 'Jack', 12: 'Queen', 13: 'King', 14: 'Ace'
+};
+const RANK_PLURAL = {
+    2: 'Twos', 3: 'Threes', 4: 'Fours', 5: 'Fives', 6: 'Sixes', 7: 'Sevens', 8: 'Eights',
+    9: 'Nines', 10: 'Tens', 11: 'Jacks', 12: 'Queens', 13: 'Kings', 14: 'Aces'
+};
 
-    const isStraight = (cards) => {
-        // Remove duplicates for straight check
-        const uniqueValues = [...new Set(cards.map(c => c.value))];
-        // Handle Ace low (A, 5, 4, 3, 2) -> A is 14, but also 1
-        if (uniqueValues.includes(14)) uniqueValues.push(1);
-        uniqueValues.sort((a, b) => b - a);
-
-        let streak = [];
-        for (let v of uniqueValues) {
-            if (streak.length === 0 || streak[streak.length - 1] === v + 1) {
-                streak.push(v);
-            } else {
-                streak = [v];
-            }
-            if (streak.length === 5) return streak[0]; // Return highest card of straight
+// Categories, lowest to highest
+const HAND_CATEGORIES = [
+    'High Card', 'Pair', 'Two Pair', 'Three of a Kind', 'Straight',
+    'Flush', 'Full House', 'Four of a Kind', 'Straight Flush'
+];
+
+// Short Deck: flushes are rarer than full houses with 36 cards, so they rank higher
+const SHORT_DECK_STRENGTH = [0, 1, 2, 3, 4, 6, 5, 7, 8];
+
+// All k-card combinations of an array
+function combinations(cards, k) {
+    const result = [];
+    const pick = (start, chosen) => {
+        if (chosen.length === k) {
+            result.push(chosen);
+            return;
+        }
+        for (let i = start; i <= cards.length - (k - chosen.length); i++) {
+            pick(i + 1, chosen.concat([cards[i]]));
         }
-        return false;
     };
+    pick(0, []);
+    return result;
+}
 
-    // 1. Check Straight Flush
-    const flushCards = isFlush(allCards);
-    if (flushCards) {
-        const straightFlushHigh = isStraight(flushCards);
-        if (straightFlushHigh) return { score: 900 + straightFlushHigh, name: "Straight Flush" };
-        // 2. Check Flush
-        return { score: 600 + flushCards[0].value, name: "Flush", tieBreaker: flushCards.map(c => c.value) };
+// Scores exactly five (or fewer, before the board is out) cards.
+// Returns { category, tieBreaker, cards } with cards ordered by importance.
+function rankFive(cards, shortDeck = false) {
+    // Group by value: bigger groups first, then higher value
+    const groups = {};
+    cards.forEach(c => (groups[c.value] = groups[c.value] || []).push(c));
+    const ordered = Object.values(groups).sort((a, b) => b.length - a.length || b[0].value - a[0].value);
+    const sortedCards = [].concat(...ordered);
+    const values = ordered.map(g => g[0].value);
+
+    const isFlush = cards.length === 5 && cards.every(c => c.suit === cards[0].suit);
+    let straightHigh = 0;
+    if (cards.length === 5 && ordered.length === 5) {
+        if (values[0] - values[4] === 4) straightHigh = values[0];
+        // Wheel: A-5-4-3-2 (A-9-8-7-6 in Short Deck), the Ace plays low
+        const wheelHigh = shortDeck ? 9 : 5;
+        if (values[0] === 14 && values[1] === wheelHigh && values[4] === wheelHigh - 3) straightHigh = wheelHigh;
     }
 
-    // 3. Check Quads, Full House, Trips, Two Pair, Pair
-    const counts = getCounts(allCards);
-    const keys = Object.keys(counts);
-    const quads = keys.filter(k => counts[k] === 4);
-    const trips = keys.filter(k => counts[k] === 3);
-    const pairs = keys.filter(k => counts[k] === 2);
-
-    if (quads.length > 0) {
-        const qVal = RANK_VALUE[quads[0]];
-        return { score: 800 + qVal, name: `Four of a Kind (${quads[0]}s)` };
+    if (straightHigh) {
+        const isWheel = values[0] === 14 && straightHigh !== 14;
+        const straightCards = isWheel ? sortedCards.slice(1).concat(sortedCards[0]) : sortedCards;
+        return { category: isFlush ? 8 : 4, tieBreaker: [straightHigh], cards: straightCards };
     }
+    if (isFlush) return { category: 5, tieBreaker: values, cards: sortedCards };
 
-    if (trips.length > 0 && (trips.length >= 2 || pairs.length > 0)) {
-        // Full house logic
-        const tVal = Math.max(...trips.map(r => RANK_VALUE[r]));
-        // Find best pair (could be another trip treated as pair)
-        const remaining = keys.filter(k => k !== trips.find(t => RANK_VALUE[t] === tVal));
-        const pairCandidates = remaining.filter(k => counts[k] >= 2);
-        const pVal = Math.max(...pairCandidates.map(r => RANK_VALUE[r]));
-        return { score: 700 + tVal, name: "Full House" };
-    }
+    const shape = ordered.map(g => g.length).join('');
+    let category = 0;
+    if (shape.startsWith('4')) category = 7;
+    else if (shape.startsWith('32')) category = 6;
+    else if (shape.startsWith('3')) category = 3;
+    else if (shape.startsWith('22')) category = 2;
+    else if (shape.startsWith('2')) category = 1;
 
-    const straightHigh = isStraight(allCards);
-    if (straightHigh) {
-        return { score: 500 + straightHigh, name: "Straight" };
-    }
+    return { category, tieBreaker: values, cards: sortedCards };
+}
 
-    if (trips.length > 0) {
-        const tVal = Math.max(...trips.map(r => RANK_VALUE[r]));
-        return { score: 400 + tVal, name: `Three of a Kind (${trips[0]}s)` };
+// Single comparable number: category first, then each tiebreaker in base 15
+function scoreOf(ranked, shortDeck = false) {
+    let score = shortDeck ? SHORT_DECK_STRENGTH[ranked.category] : ranked.category;
+    for (let i = 0; i < 5; i++) {
+        score = score * 15 + (ranked.tieBreaker[i] || 0);
     }
+    return score;
+}
 
-    if (pairs.length >= 2) {
-        pairs.sort((a, b) => RANK_VALUE[b] - RANK_VALUE[a]);
-        return { score: 300 + RANK_VALUE[pairs[0]], name: "Two Pair" };
+function describeHand(ranked) {
+    const t = ranked.tieBreaker;
+    const kicker = (v) => v ? `, ${RANK_NAME[v]} kicker` : '';
+    switch (ranked.category) {
+        case 8: return t[0] === 14 ? 'Royal Flush' : `Straight Flush, ${RANK_NAME[t[0]]} high`;
+        case 7: return `Four of a Kind, ${RANK_PLURAL[t[0]]}${kicker(t[1])}`;
+        case 6: return `Full House, ${RANK_PLURAL[t[0]]} full of ${RANK_PLURAL[t[1]]}`;
+        case 5: return `Flush, ${RANK_NAME[t[0]]} high`;
+        case 4: return `Straight, ${RANK_NAME[t[0]]} high`;
+        case 3: return `Three of a Kind, ${RANK_PLURAL[t[0]]}${kicker(t[1])}`;
+        case 2: return `Two Pair, ${RANK_PLURAL[t[0]]} and ${RANK_PLURAL[t[1]]}${kicker(t[2])}`;
+        case 1: return `Pair of ${RANK_PLURAL[t[0]]}${kicker(t[1])}`;
+        default: return `High Card, ${RANK_NAME[t[0]]}`;
     }
+}
 
-    if (pairs.length === 1) {
-        return { score: 200 + RANK_VALUE[pairs[0]], name: `Pair of ${pairs[0]}s` };
+// Five-card hands a player may make. Omaha: exactly two hole cards and three from the board.
+function candidateHands(holeCards, communityCards, exactlyTwo) {
+    if (!exactlyTwo) {
+        const allCards = [...holeCards, ...communityCards];
+        return allCards.length > 5 ? combinations(allCards, 5) : [allCards];
     }
+    const boardPicks = communityCards.length > 3 ? combinations(communityCards, 3) : [communityCards];
+    const hands = [];
+    combinations(holeCards, 2).forEach(two => boardPicks.forEach(three => hands.push(two.concat(three))));
+    return hands;
+}
+
+// Hand Evaluator (any five of the hole + community cards, unless the rules say otherwise)
+// rules: { exactlyTwo: Omaha hole card rule, shortDeck: Short Deck straights and rankings }
+// Returns { score, category, name, description, cards, tieBreaker }
+//   score: higher is better, equal scores are a genuine tie (every kicker counted)
+//   cards: the exact five cards used, most significant first
+function evaluateHand(holeCards, communityCards, rules = {}) {
+    const candidates = candidateHands(holeCards, communityCards, rules.exactlyTwo);
+
+    let best = null;
+    candidates.forEach(five => {
+        const ranked = rankFive(five, rules.shortDeck);
+        ranked.score = scoreOf(ranked, rules.shortDeck);
+        if (!best || ranked.score > best.score) best = ranked;
+    });
+
+    return {
+        score: best.score,
+        category: best.category,
+        name: best.category === 8 && best.tieBreaker[0] === 14 ? 'Royal Flush' : HAND_CATEGORIES[best.category],
+        description: describeHand(best),
+        cards: best.cards,
+        tieBreaker: best.tieBreaker
+    };
+}
 
-    return { score: 100 + allCards[0].value, name: "High Card", tieBreaker: allCards.slice(0,5).map(c => c.value) };
+// Omaha Hi-Lo low hand: five different ranks of Eight or lower, Aces low,
+// exactly two from the hole. Returns { score, description, cards } or null if there is none.
+//   score: higher is better (the lowest low), like evaluateHand
+function evaluateLow(holeCards, communityCards) {
+    const lowValue = (c) => c.value === 14 ? 1 : c.value;
+    let best = null;
+    candidateHands(holeCards, communityCards, true).forEach(five => {
+        const values = five.map(lowValue).sort((a, b) => b - a);
+        if (values[0] > 8 || new Set(values).size < 5) return;
+        // Compare the highest card first, then the next: lower wins
+        const score = -values.reduce((acc, v) => acc * 15 + v, 0);
+        if (!best || score > best.score) {
+            const cards = [...five].sort((a, b) => lowValue(b) - lowValue(a));
+            best = { score, cards, description: `Low ${values.map(v => v === 1 ? 'A' : v).join('-')}` };
+        }
+    });
+    return best;
+}
+
+// Comparator for evaluateHand results: > 0 if a beats b, 0 on a tie
+function compareHands(a, b) {
+    return a.score - b.score;
+}
+
+// Side Pot Builder
+// Takes [{ id, contributed, folded }] (chips each player put in this hand)
+// Returns [{ amount, eligible: [id] }] - main pot first, then side pots in order
+function buildPots(contributions) {
+    const levels = [...new Set(contributions.filter(c => c.contributed > 0).map(c => c.contributed))]
+        .sort((a, b) => a - b);
+
+    const pots = [];
+    let prevLevel = 0;
+    for (let level of levels) {
+        let amount = 0;
+        contributions.forEach(c => {
+            amount += Math.max(0, Math.min(c.contributed, level) - prevLevel);
+        });
+        const eligible = contributions
+            .filter(c => !c.folded && c.contributed >= level)
+            .map(c => c.id);
+        prevLevel = level;
+
+        const last = pots[pots.length - 1];
+        if (eligible.length === 0 && last) {
+            // Dead money above every live player's stack stays in the last pot
+            last.amount += amount;
+        } else if (last && last.eligible.length === eligible.length) {
+            // Same contenders as the previous layer -> same pot
+            last.amount += amount;
+        } else {
+            pots.push({ amount, eligible });
+        }
+    }
+    return pots;
 }
 
-module.exports = { Deck, evaluateHand };
\ No newline at end of file
+module.exports = {
+    Deck, createSeededRng, evaluateHand, evaluateLow, compareHands, buildPots, combinations,
+    HAND_CATEGORIES, RANKS, SHORT_DECK_RANKS
+};
\ No newline at end of file
@@ -1,9 +1,12 @@
 const socket = io();
 
 // State
+let myPlayerId = null; // Stable across reconnects, unlike socket.id
+let myRoomName = null;
 let mySeatIndex = -1;
 let myChips = 0;
 let currentTurn = false;
+let currentBettingLimit = 'no-limit';
 
 // DOM Elements
 const loginScreen = document.getElementById('login-screen');
@@ -14,6 +17,11 @@ const notification = document.getElementById('notification');
 const actionControls = document.getElementById('action-controls');
 const btnStart = document.getElementById('btnStart');
 const btnRebuy = document.getElementById('btnRebuy');
+const btnAddOn = document.getElementById('btnAddOn');
+const btnSitOut = document.getElementById('btnSitOut');
+const btnStraddle = document.getElementById('btnStraddle');
+const btnTakeSeat = document.getElementById('btnTakeSeat');
+const btnWaitlist = document.getElementById('btnWaitlist');
 
 // --- JOIN LOGIC ---
 document.getElementById('btnJoin').onclick = () => {
@@ -21,13 +29,176 @@ document.getElementById('btnJoin').onclick = () => {
     const roomName = document.getElementById('roomName').value;
     if(!nickname || !roomName) return alert("Please enter name and room");
     
-    socket.emit('joinRoom', { nickname, roomName });
+    socket.emit('joinRoom', { nickname, roomName, config: readTableSettings(), clientSeed: getClientSeed(), ...readRoomAccess() });
+    showGameScreen(roomName);
+};
+
+// Join without a seat; a seat can be taken later
+document.getElementById('btnWatch').onclick = () => {
+    const nickname = document.getElementById('nickname').value;
+    const roomName = document.getElementById('roomName').value;
+    if(!nickname || !roomName) return alert("Please enter name and room");
+
+    socket.emit('joinRoom', { nickname, roomName, config: readTableSettings(), clientSeed: getClientSeed(), spectate: true, ...readRoomAccess() });
+    showGameScreen(roomName);
+};
+
+// The password to get in; when creating the room, also the one it is locked with
+function readRoomAccess() {
+    return {
+        password: document.getElementById('roomPassword').value,
+        isPrivate: document.getElementById('cfgPrivate').checked
+    };
+}
+
+// Only applied by the server if this join creates the room
+function readTableSettings() {
+    const fields = ['smallBlind', 'bigBlind', 'ante', 'startingChips', 'rebuyAmount',
+        'maxRebuys', 'minPlayers', 'maxPlayers', 'seatCount', 'turnTimeoutSec', 'timeBankSec', 'timeBankRefillSec', 'maxTimeouts', 'maxRuns', 'raiseCap',
+        'blindLevelMinutes', 'rebuyLevels', 'addOnAmount'];
+    const config = {};
+    fields.forEach(f => {
+        const input = document.getElementById('cfg' + f[0].toUpperCase() + f.slice(1));
+        if (input.value !== '') config[f] = parseInt(input.value);
+    });
+    config.variant = document.getElementById('cfgVariant').value;
+    config.bettingLimit = document.getElementById('cfgBettingLimit').value || null;
+    config.missedBlinds = document.getElementById('cfgMissedBlinds').value;
+    config.anteType = document.getElementById('cfgAnteType').value;
+    config.straddle = document.getElementById('cfgStraddle').value;
+    config.chipValue = parseFloat(document.getElementById('cfgChipValue').value);
+    config.mode = document.getElementById('cfgMode').value;
+    config.payouts = document.getElementById('cfgPayouts').value;
+    return config;
+}
+
+function showGameScreen(roomName) {
+    myRoomName = roomName;
     document.getElementById('room-id-display').innerText = roomName;
-    
+    setRoomLinks(roomName, '');
     loginScreen.style.display = 'none';
     gameScreen.style.display = 'flex';
+}
+
+// Downloads and pages about the room. The room's read-only access key lets them into a room with
+// a password; these links get shared, so never the session token.
+function setRoomLinks(roomName, key) {
+    const access = key ? `?key=${encodeURIComponent(key)}` : '';
+    const page = (name) => `${name}.html?${new URLSearchParams(key ? { room: roomName, key } : { room: roomName })}`;
+    const historyBase = `/rooms/${encodeURIComponent(roomName)}/history`;
+    document.getElementById('history-json').href = `${historyBase}.json${access}`;
+    document.getElementById('history-txt').href = `${historyBase}.txt${access}`;
+    document.getElementById('settle-link').href = page('settle');
+    document.getElementById('leaderboard-link').href = page('leaderboard');
+}
+
+// --- CLIENT SEED (mixed into every shuffle, see fairness.js) ---
+const CLIENT_SEED_KEY = 'pokerClientSeed';
+
+function getClientSeed() {
+    let seed = localStorage.getItem(CLIENT_SEED_KEY);
+    if (!seed) {
+        // getRandomValues also works on plain http, unlike crypto.subtle
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        seed = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem(CLIENT_SEED_KEY, seed);
+    }
+    return seed;
+}
+
+document.getElementById('clientSeed').value = getClientSeed();
+
+document.getElementById('btnClientSeed').onclick = () => {
+    const seed = document.getElementById('clientSeed').value.trim();
+    if (!seed) return;
+    localStorage.setItem(CLIENT_SEED_KEY, seed);
+    socket.emit('setClientSeed', { seed });
 };
 
+// --- SESSION (reconnect after a dropped connection or page reload) ---
+const SESSION_KEY = 'pokerSession';
+
+socket.on('connect', () => {
+    const saved = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+    if (saved) socket.emit('resumeSession', { token: saved.token });
+    else socket.emit('watchLobby');
+});
+
+socket.on('session', ({ token, roomName, nickname, playerId, accessKey }) => {
+    myPlayerId = playerId;
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ token, roomName, nickname, playerId }));
+    setRoomLinks(roomName, accessKey);
+});
+
+socket.on('sessionResumed', ({ roomName, playerId, accessKey }) => {
+    myPlayerId = playerId;
+    showGameScreen(roomName);
+    setRoomLinks(roomName, accessKey);
+});
+
+// The host changed the password: links with the old key no longer open
+socket.on('accessKey', (key) => {
+    if (myRoomName) setRoomLinks(myRoomName, key);
+});
+
+socket.on('sessionExpired', () => {
+    localStorage.removeItem(SESSION_KEY);
+    socket.emit('watchLobby');
+});
+
+// Wrong or missing password: back to the login screen to try again
+socket.on('joinRefused', (msg) => {
+    alert(msg);
+    gameScreen.style.display = 'none';
+    loginScreen.style.display = 'flex';
+    socket.emit('watchLobby');
+    document.getElementById('roomPassword').focus();
+});
+
+// --- LOBBY ---
+
+// Open rooms, newest state from the server; clicking one fills in its name
+socket.on('lobbyUpdate', (list) => {
+    const table = document.getElementById('lobby-table');
+    table.innerHTML = '';
+    if (list.length === 0) {
+        table.innerHTML = '<tr><td>No open rooms yet. Pick a name to start one.</td></tr>';
+        return;
+    }
+    table.innerHTML = '<tr><th>Room</th><th>Game</th><th>Blinds</th><th>Players</th><th>Status</th></tr>';
+    list.forEach(r => {
+        const tr = document.createElement('tr');
+        const cells = [
+            (r.hasPassword ? '🔒 ' : '') + r.id,
+            r.mode === 'tournament' ? `${r.game} (tournament)` : r.game,
+            `${r.smallBlind}/${r.bigBlind}${r.ante > 0 ? ` ante ${r.ante}` : ''}`,
+            `${r.players}/${r.maxPlayers}${r.bots > 0 ? ` (${r.bots} bot${r.bots === 1 ? '' : 's'})` : ''}` +
+                (r.spectators > 0 ? `, ${r.spectators} watching` : ''),
+            lobbyStatusText(r.status)
+        ];
+        cells.forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tr.onclick = () => {
+            document.getElementById('roomName').value = r.id;
+            if (r.hasPassword) document.getElementById('roomPassword').focus();
+        };
+        table.appendChild(tr);
+    });
+});
+
+function lobbyStatusText(status) {
+    return { waiting: 'Waiting for players', playing: 'Playing', showdown: 'Playing', paused: 'Paused', finished: 'Finished' }[status] || status;
+}
+
+socket.on('kicked', (msg) => {
+    localStorage.removeItem(SESSION_KEY);
+    alert(msg);
+    location.reload();
+});
+
 // --- SOCKET EVENTS ---
 
 socket.on('error', (msg) => {
@@ -38,9 +209,12 @@ socket.on('error', (msg) => {
 socket.on('notification', (msg) => {
     notification.innerText = msg;
     setTimeout(() => { notification.innerText = ''; }, 3000);
+    appendLog(msg);
 });
 
 socket.on('holeCards', (cards) => {
+    window.winningCards = null; // New hand, clear last highlight
+    window.winnerIds = null;
     // These are my private cards
     // We render them inside renderRoomState, but we store them temporarily here?
     // Actually, we can just store them in a global var or rely on them being rendered when state updates
@@ -55,17 +229,46 @@ socket.on('roomStateUpdate', (state) => {
 });
 
 socket.on('yourTurn', (data) => {
-    const { callAmount, minRaise, canCheck } = data;
+    const { callAmount, minRaise, maxRaise, canCheck, canRaise, bettingLimit, timeBankMs, timeBankActive } = data;
     actionControls.style.display = 'flex';
-    document.getElementById('btnCheck').style.display = canCheck ? 'inline-block' : 'none';
-    document.getElementById('btnCall').innerText = callAmount > 0 ? `Call ${callAmount}` : 'Call';
-    document.getElementById('betAmount').placeholder = minRaise;
-    document.getElementById('betAmount').min = minRaise;
+    renderTimeBankButton(timeBankMs, timeBankActive);
+    // Only what is legal right now: no check facing a bet, no raise once the betting is closed to me
+    const show = (id, visible) => document.getElementById(id).style.display = visible ? 'inline-block' : 'none';
+    const fixed = canRaise && minRaise === maxRaise;
+    show('btnCheck', canCheck);
+    show('btnCall', callAmount > 0);
+    show('betAmount', canRaise && !fixed);
+    show('btnBet', canRaise);
+    // Fixed-limit: the Bet button is the one size allowed, which may be the whole stack
+    show('btnAllIn', canRaise && bettingLimit !== 'fixed-limit');
+    document.getElementById('btnCall').innerText = `Call ${callAmount}`;
+    document.getElementById('btnBet').innerText = fixed ? `${canCheck ? 'Bet' : 'Raise to'} ${minRaise}` : 'Bet/Raise';
+    const betAmount = document.getElementById('betAmount');
+    betAmount.placeholder = minRaise;
+    betAmount.min = minRaise;
+    betAmount.max = maxRaise;
+    window.minRaise = minRaise;
+    window.maxRaise = maxRaise;
+});
+
+socket.on('tournamentResult', (data) => {
+    const rows = data.standings.map(s =>
+        `<tr><td>${s.place}.</td><td>${s.nickname}</td><td>${s.payout > 0 ? `${s.payout} (${s.percent}%)` : '-'}</td></tr>`);
+    document.getElementById('standings-table').innerHTML =
+        rows.join('') + `<tr><td colspan="3">Prize pool: ${data.prizePool}</td></tr>`;
+    document.getElementById('standings-panel').style.display = 'block';
 });
 
 socket.on('handResult', (data) => {
     notification.innerText = data.message;
-    window.myHoleCards = null; // Reset my cards view
+    appendLog(data.message);
+
+    // Remember the five cards each pot was won with so the table can highlight them
+    window.winnerIds = data.winners || [];
+    window.winningCards = [];
+    (data.pots || []).forEach(pot => pot.winners.forEach(w => {
+        if (w.cards) window.winningCards.push(...w.cards);
+    }));
 });
 
 // --- ACTIONS ---
@@ -75,14 +278,37 @@ function sendAction(action) {
     socket.emit('action', { action, amount: 0 });
 }
 
+// Pot-limit games can't shove more than the pot: the button bets the most allowed
+function sendAllIn() {
+    if (currentBettingLimit === 'pot-limit') {
+        actionControls.style.display = 'none';
+        socket.emit('action', { action: 'raise', amount: window.maxRaise });
+    } else {
+        sendAction('all-in');
+    }
+}
+
+// Kept within the legal range sent with yourTurn; with only one size allowed there is nothing to type
 function sendBet() {
-    const amt = document.getElementById('betAmount').value;
-    if(!amt) return;
+    const amt = window.minRaise === window.maxRaise ? window.minRaise : parseInt(document.getElementById('betAmount').value);
+    if (isNaN(amt)) return;
     actionControls.style.display = 'none';
-    socket.emit('action', { action: 'raise', amount: amt });
+    socket.emit('action', { action: 'raise', amount: Math.min(window.maxRaise, Math.max(window.minRaise, amt)) });
     document.getElementById('betAmount').value = '';
 }
 
+const btnTimeBank = document.getElementById('btnTimeBank');
+
+btnTimeBank.onclick = () => {
+    socket.emit('useTimeBank');
+};
+
+function renderTimeBankButton(timeBankMs, active) {
+    const secs = Math.round((timeBankMs || 0) / 1000);
+    btnTimeBank.style.display = secs > 0 && !active ? 'inline-block' : 'none';
+    btnTimeBank.innerText = `Time bank (${secs}s)`;
+}
+
 document.getElementById('btnStart').onclick = () => {
     socket.emit('startGameRequest');
 };
@@ -91,63 +317,442 @@ document.getElementById('btnRebuy').onclick = () => {
     socket.emit('requestRebuy');
 };
 
+btnAddOn.onclick = () => {
+    socket.emit('requestAddOn');
+};
+
+// All in with cards to come: how many times to deal the rest, the lowest choice counts
+function renderRunItControls(offer) {
+    const el = document.getElementById('run-it-controls');
+    const myChoice = offer && myPlayerId in offer.choices ? offer.choices[myPlayerId] : undefined;
+    if (myChoice === undefined) {
+        el.style.display = 'none';
+        return;
+    }
+    el.style.display = 'flex';
+    if (myChoice !== null) {
+        el.innerHTML = `<span>Running it ${myChoice === 1 ? 'once' : myChoice + ' times'}? Waiting for the others…</span>`;
+        return;
+    }
+    const label = (n) => n === 1 ? 'Once' : n === 2 ? 'Twice' : `${n} times`;
+    el.innerHTML = '<span>Run it:</span>';
+    for (let n = 1; n <= offer.maxRuns; n++) {
+        const btn = document.createElement('button');
+        btn.innerText = label(n);
+        btn.onclick = () => socket.emit('chooseRuns', { runs: n });
+        el.appendChild(btn);
+    }
+}
+
+// Once the hand is over, my hidden cards can be turned up one by one or all at once
+function renderShowControls(state, me) {
+    const el = document.getElementById('show-controls');
+    const canShow = state.status === 'showdown' && me && me.hasCards && me.status !== 'folded' && window.myHoleCards;
+    const hidden = canShow ? window.myHoleCards.map((c, i) => i).filter(i => !me.cards || !me.cards[i]) : [];
+    el.style.display = hidden.length > 0 ? 'flex' : 'none';
+    el.innerHTML = '';
+    const addButton = (text, cards) => {
+        const btn = document.createElement('button');
+        btn.innerText = text;
+        btn.onclick = () => socket.emit('showCards', { cards });
+        el.appendChild(btn);
+    };
+    hidden.forEach(i => addButton(`Show ${window.myHoleCards[i].rank}${window.myHoleCards[i].suit}`, [i]));
+    if (hidden.length > 1) addButton(hidden.length === 2 ? 'Show both' : 'Show all', hidden);
+}
+
+document.getElementById('chkAutoMuck').onchange = (e) => {
+    socket.emit('setAutoMuck', { autoMuck: e.target.checked });
+};
+
+btnSitOut.onclick = () => {
+    socket.emit(btnSitOut.dataset.away ? 'sitIn' : 'sitOut');
+};
+
+btnStraddle.onclick = () => {
+    socket.emit('setStraddle', { straddle: !btnStraddle.dataset.on });
+};
+
+btnTakeSeat.onclick = () => {
+    socket.emit('takeSeat');
+};
+
+btnWaitlist.onclick = () => {
+    socket.emit(btnWaitlist.dataset.on ? 'leaveWaitlist' : 'joinWaitlist');
+};
+
+document.getElementById('btnAddBot').onclick = () => {
+    socket.emit('addBot', { style: document.getElementById('botStyle').value });
+};
+
+function removeBot(botId) {
+    socket.emit('removeBot', { botId });
+}
+
+// --- HOST CONTROLS ---
+const hostTarget = document.getElementById('hostTarget');
+const hostValue = (id) => document.getElementById(id).value;
+
+document.getElementById('btnPause').onclick = (e) => {
+    socket.emit('setPaused', { paused: e.target.dataset.paused !== '1' });
+};
+document.getElementById('btnKick').onclick = () => {
+    if (hostTarget.value) socket.emit('kick', { targetId: hostTarget.value });
+};
+document.getElementById('btnBan').onclick = () => {
+    const name = hostTarget.selectedOptions[0] && hostTarget.selectedOptions[0].text;
+    if (hostTarget.value && confirm(`Ban ${name} from this room?`)) socket.emit('kick', { targetId: hostTarget.value, ban: true });
+};
+document.getElementById('btnMakeHost').onclick = () => {
+    if (hostTarget.value) socket.emit('makeHost', { targetId: hostTarget.value });
+};
+document.getElementById('btnMoveSeat').onclick = () => {
+    socket.emit('moveSeat', { targetId: hostTarget.value, seat: hostValue('hostSeat') });
+};
+document.getElementById('btnAdjust').onclick = () => {
+    socket.emit('adjustStack', { targetId: hostTarget.value, chips: hostValue('hostChips'), reason: hostValue('hostReason') });
+    document.getElementById('hostChips').value = '';
+    document.getElementById('hostReason').value = '';
+};
+document.getElementById('btnBlinds').onclick = () => {
+    socket.emit('setBlinds', { smallBlind: hostValue('hostSmallBlind'), bigBlind: hostValue('hostBigBlind'), ante: hostValue('hostAnte') });
+};
+// Calls a bomb pot for the next hand, or calls it off once called
+document.getElementById('btnBombPot').onclick = (e) => {
+    socket.emit('callBombPot', { amount: e.target.dataset.called ? 0 : hostValue('hostBombPot') });
+};
+document.getElementById('btnPassword').onclick = () => {
+    socket.emit('setRoomAccess', { password: hostValue('hostPassword') });
+    document.getElementById('hostPassword').value = '';
+};
+document.getElementById('hostPrivate').onchange = (e) => {
+    socket.emit('setRoomAccess', { isPrivate: e.target.checked });
+};
+document.getElementById('btnRevealSeeds').onclick = () => {
+    if (confirm('Reveal the seeds of the finished hands? Everyone can then see the folded and mucked cards.')) socket.emit('revealSeeds', {});
+};
+document.getElementById('btnLevel').onclick = () => {
+    socket.emit('setBlinds', { level: hostValue('hostLevel') });
+};
+
+// Rebuilds a select's options, keeping the current choice if it is still there
+function fillSelect(select, options) {
+    const chosen = select.value;
+    select.innerHTML = '';
+    options.forEach(([value, text]) => select.add(new Option(text, value)));
+    if (options.some(([value]) => value === chosen)) select.value = chosen;
+}
+
+function renderHostPanel(state) {
+    const panel = document.getElementById('host-panel');
+    panel.style.display = state.hostId === myPlayerId ? 'block' : 'none';
+    if (state.hostId !== myPlayerId) return;
+
+    const pause = document.getElementById('btnPause');
+    pause.innerText = state.paused ? 'Resume' : 'Pause';
+    pause.dataset.paused = state.paused ? '1' : '';
+
+    const others = state.players.concat(state.spectators).filter(m => m.id !== myPlayerId);
+    fillSelect(hostTarget, others.map(m => [m.id, m.seatIndex !== undefined ? m.nickname : `${m.nickname} (watching)`]));
+
+    const emptySeats = [];
+    for (let i = 0; i < state.config.seatCount; i++) {
+        if (!state.players.some(p => p.seatIndex === i)) emptySeats.push([String(i), `Seat ${i + 1}`]);
+    }
+    fillSelect(document.getElementById('hostSeat'), emptySeats);
+
+    document.getElementById('host-blinds').style.display = state.tournament ? 'none' : 'block';
+    const bombPot = document.getElementById('btnBombPot');
+    bombPot.innerText = state.nextBombPot ? `Call off (${state.nextBombPot})` : 'Next hand';
+    bombPot.dataset.called = state.nextBombPot ? '1' : '';
+    document.getElementById('host-level').style.display = state.tournament && !state.tournament.finished ? 'block' : 'none';
+    document.getElementById('hostPassword').placeholder = state.hasPassword ? 'Empty = remove it' : 'Empty = none';
+    document.getElementById('hostPrivate').checked = state.isPrivate;
+}
+
+// --- CHAT AND ACTION LOG ---
+const MUTED_KEY = 'pokerMuted';
+const MAX_CHAT_MESSAGES = 100;
+const MAX_LOG_LINES = 300;
+
+let chatMessages = [];
+let mutedPlayers = JSON.parse(localStorage.getItem(MUTED_KEY) || '{}'); // playerId -> nickname
+const chatList = document.getElementById('chat-messages');
+const actionLog = document.getElementById('action-log');
+
+function timeText(ms) {
+    return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Keep following new lines, unless the user scrolled up to read
+function appendLine(list, line) {
+    const following = list.scrollTop + list.clientHeight >= list.scrollHeight - 5;
+    list.appendChild(line);
+    if (following) list.scrollTop = list.scrollHeight;
+}
+
+function appendLog(text) {
+    const line = document.createElement('div');
+    line.className = 'log-line';
+    line.textContent = `${timeText(Date.now())} ${text}`;
+    appendLine(actionLog, line);
+    while (actionLog.children.length > MAX_LOG_LINES) actionLog.removeChild(actionLog.firstChild);
+}
+
+function chatLine(m) {
+    const line = document.createElement('div');
+    line.className = m.emote ? 'chat-line emote-line' : 'chat-line';
+
+    const time = document.createElement('span');
+    time.className = 'chat-time';
+    time.textContent = timeText(m.at) + ' ';
+
+    const name = document.createElement('span');
+    name.className = 'chat-name';
+    name.textContent = m.nickname + ': ';
+    if (m.playerId !== myPlayerId) {
+        name.title = 'Click to mute';
+        name.onclick = () => toggleMute(m.playerId, m.nickname);
+    }
+
+    const text = document.createElement('span');
+    text.textContent = m.text;
+
+    line.append(time, name, text);
+    return line;
+}
+
+function renderChat() {
+    chatList.innerHTML = '';
+    chatMessages.filter(m => !mutedPlayers[m.playerId]).forEach(m => chatList.appendChild(chatLine(m)));
+    chatList.scrollTop = chatList.scrollHeight;
+
+    const muted = document.getElementById('muted-list');
+    muted.innerHTML = '';
+    Object.entries(mutedPlayers).forEach(([id, nickname]) => {
+        const tag = document.createElement('span');
+        tag.className = 'muted-tag';
+        tag.textContent = `${nickname} ✕`;
+        tag.title = 'Click to unmute';
+        tag.onclick = () => toggleMute(id, nickname);
+        muted.appendChild(tag);
+    });
+}
+
+function toggleMute(playerId, nickname) {
+    if (mutedPlayers[playerId]) delete mutedPlayers[playerId];
+    else mutedPlayers[playerId] = nickname;
+    localStorage.setItem(MUTED_KEY, JSON.stringify(mutedPlayers));
+    renderChat();
+}
+
+function sendChat() {
+    const input = document.getElementById('chatInput');
+    const text = input.value.trim();
+    if (!text) return;
+    socket.emit('chatMessage', { text });
+    input.value = '';
+}
+
+function showTab(tab) {
+    document.getElementById('chat-view').style.display = tab === 'chat' ? 'flex' : 'none';
+    document.getElementById('log-view').style.display = tab === 'log' ? 'flex' : 'none';
+    document.getElementById('tabChat').classList.toggle('selected', tab === 'chat');
+    document.getElementById('tabLog').classList.toggle('selected', tab === 'log');
+    if (tab === 'chat') document.getElementById('tabChat').classList.remove('unread');
+}
+
+socket.on('chatHistory', (messages) => {
+    chatMessages = messages;
+    renderChat();
+});
+
+socket.on('chat', (m) => {
+    chatMessages.push(m);
+    if (chatMessages.length > MAX_CHAT_MESSAGES) chatMessages.shift();
+    if (mutedPlayers[m.playerId]) return;
+    appendLine(chatList, chatLine(m));
+    if (document.getElementById('chat-view').style.display === 'none') {
+        document.getElementById('tabChat').classList.add('unread');
+    }
+});
+
+document.getElementById('btnChat').onclick = sendChat;
+document.getElementById('chatInput').onkeydown = (e) => {
+    if (e.key === 'Enter') sendChat();
+};
+document.querySelectorAll('.emote').forEach(btn => {
+    btn.onclick = () => socket.emit('chatMessage', { emote: btn.dataset.emote });
+});
+document.getElementById('tabChat').onclick = () => showTab('chat');
+document.getElementById('tabLog').onclick = () => showTab('log');
+
+// --- TOURNAMENT CLOCK ---
+// Level deadline in local time, refreshed from every state update
+let nextLevelAt = null;
+let tournamentInfo = null;
+
+function renderTournamentClock() {
+    const el = document.getElementById('tournament-display');
+    if (!tournamentInfo) {
+        el.innerText = '';
+        return;
+    }
+    const t = tournamentInfo;
+    let text = `Level ${t.level}: ${t.smallBlind}/${t.bigBlind}${t.ante ? ` ante ${t.ante}` : ''}`;
+    if (t.finished) {
+        text += ' · Finished';
+    } else if (nextLevelAt) {
+        const secs = Math.max(0, Math.round((nextLevelAt - Date.now()) / 1000));
+        text += ` · Next level in ${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+    }
+    text += ` · ${t.remaining} left · Prize pool ${t.prizePool}`;
+    if (t.rebuyOpen) text += ' · Rebuys open';
+    el.innerText = text;
+}
+
+setInterval(renderTournamentClock, 1000);
+
+// --- TURN CLOCK ---
+// Deadline of the seat to act in local time, refreshed from every state update
+let turnClock = null;
+
+function renderTurnClock() {
+    const ring = document.querySelector('.turn-ring');
+    if (!ring || !turnClock) return;
+    const msLeft = Math.max(0, turnClock.endsAt - Date.now());
+    ring.style.setProperty('--left', turnClock.totalMs > 0 ? msLeft / turnClock.totalMs : 0);
+    ring.style.setProperty('--ring-color', turnClock.timeBankActive ? '#3498db' : msLeft < 5000 ? '#e74c3c' : '#2ecc71');
+    ring.firstChild.textContent = Math.ceil(msLeft / 1000);
+}
+
+setInterval(renderTurnClock, 200);
+
 
 // --- RENDERING ---
 
 function renderTable(state) {
     seatsContainer.innerHTML = '';
     document.getElementById('pot-amount').innerText = state.pot;
-    document.getElementById('game-status-display').innerText = state.status === 'playing' ? 'In Game' : 'Waiting...';
+    document.getElementById('game-status-display').innerText = state.paused ? 'Paused by the host'
+        : state.status === 'playing' ? (state.bombPot ? 'Bomb pot!' : 'In Game')
+        : state.nextBombPot ? 'Bomb pot next hand' : 'Waiting...';
 
-    // Show Start button if waiting
-    if(state.status === 'waiting' && state.players.length >= state.minPlayers) {
+    const cfg = state.config;
+    currentBettingLimit = state.variant.bettingLimit;
+    document.getElementById('btnAllIn').innerText = currentBettingLimit === 'pot-limit' ? 'Pot' : 'All In';
+    document.getElementById('table-config-display').innerText =
+        `${state.variant.name} · Blinds ${cfg.smallBlind}/${cfg.bigBlind}${cfg.ante ? ` (${cfg.anteType === 'big-blind' ? 'BB ante' : 'ante'} ${cfg.ante})` : ''}` +
+        `${cfg.straddle !== 'off' ? ` · ${cfg.straddle === 'utg' ? 'UTG' : 'button'} straddle` : ''} · ` +
+        `Stack ${cfg.startingChips} · Players ${cfg.minPlayers}-${cfg.maxPlayers} · ${cfg.turnTimeoutSec}s/turn` +
+        (cfg.timeBankSec ? ` + ${cfg.timeBankSec}s time bank` : '');
+    btnStart.innerText = `Start Game (Min ${state.minPlayers})`;
+    btnRebuy.innerText = `Rebuy (${cfg.rebuyAmount})`;
+    btnAddOn.innerText = `Add-on (${cfg.addOnAmount})`;
+
+    tournamentInfo = state.tournament;
+    nextLevelAt = state.tournament && state.tournament.msUntilNextLevel !== null
+        ? Date.now() + state.tournament.msUntilNextLevel : null;
+    renderTournamentClock();
+    renderFairness(state.fairness);
+    turnClock = state.turn ? { ...state.turn, endsAt: Date.now() + state.turn.msLeft } : null;
+
+    // Find me (not found while watching)
+    const me = state.players.find(p => p.id === myPlayerId);
+    const isHost = state.hostId === myPlayerId;
+
+    // Show Start button to the host if waiting
+    if(isHost && state.status === 'waiting' && state.players.length >= state.minPlayers) {
         btnStart.style.display = 'block';
     } else {
         btnStart.style.display = 'none';
     }
 
-    // Find me
-    const me = state.players.find(p => p.id === socket.id);
+    // The host can add and remove bots in the lobby
+    const inLobby = state.status === 'waiting' && !state.tournament;
+    document.getElementById('bot-controls').style.display = inLobby && isHost ? 'flex' : 'none';
+    renderSpectators(state, me);
+    renderHostPanel(state);
+    renderRunItControls(state.runItOffer);
+    renderShowControls(state, me);
+
     if(me) {
         mySeatIndex = me.seatIndex;
         myChips = me.chips;
-        if(me.chips === 0 && state.status === 'waiting') btnRebuy.style.display = 'block';
+        const rebuyAllowed = cfg.rebuyAmount > 0 && (!state.tournament || state.tournament.rebuyOpen);
+        if(me.chips === 0 && state.status === 'waiting' && rebuyAllowed) btnRebuy.style.display = 'block';
         else btnRebuy.style.display = 'none';
+        btnAddOn.style.display = state.tournament && state.tournament.addOnOpen && state.status !== 'playing' ? 'block' : 'none';
+        btnSitOut.style.display = me.status === 'eliminated' ? 'none' : 'block';
+        btnSitOut.innerText = me.away ? 'Sit In' : 'Sit Out';
+        btnSitOut.dataset.away = me.away ? '1' : '';
+        btnStraddle.style.display = cfg.straddle !== 'off' && me.status !== 'eliminated' ? 'block' : 'none';
+        btnStraddle.innerText = me.straddle ? 'Stop straddling' : 'Straddle';
+        btnStraddle.dataset.on = me.straddle ? '1' : '';
+        document.getElementById('auto-muck').style.display = 'block';
+        document.getElementById('chkAutoMuck').checked = me.autoMuck;
 
-        if(!me.isTurn) actionControls.style.display = 'none';
+        // Shown again after a rejected action, the turn is still mine
+        actionControls.style.display = me.isTurn ? 'flex' : 'none';
+        if(me.isTurn && state.turn) renderTimeBankButton(me.timeBankMs, state.turn.timeBankActive);
+    } else {
+        btnRebuy.style.display = 'none';
+        btnAddOn.style.display = 'none';
+        btnSitOut.style.display = 'none';
+        btnStraddle.style.display = 'none';
+        document.getElementById('auto-muck').style.display = 'none';
+        actionControls.style.display = 'none';
     }
 
     // Render Community Cards
     commCardsContainer.innerHTML = '';
-    state.communityCards.forEach(c => {
-        commCardsContainer.appendChild(createCardEl(c));
-    });
+    commCardsContainer.classList.toggle('runs', state.extraBoards.length > 0);
+    if (state.extraBoards.length === 0) {
+        state.communityCards.forEach(c => commCardsContainer.appendChild(createCardEl(c)));
+    } else {
+        // One row per run
+        [state.communityCards, ...state.extraBoards].forEach((board, i) => {
+            const row = document.createElement('div');
+            row.className = 'board-run';
+            row.innerHTML = `<span>Run ${i + 1}</span>`;
+            board.forEach(c => row.appendChild(createCardEl(c)));
+            commCardsContainer.appendChild(row);
+        });
+    }
+
+    // Omaha deals four hole cards, drawn smaller to fit above the seat
+    const holeCardCount = state.variant.holeCards;
+    const cardsClass = holeCardCount > 2 ? 'player-cards many' : 'player-cards';
 
     // Render Players
     state.players.forEach(p => {
-        // Calculate relative seat position (0 is bottom/me)
-        let relativeSeat = (p.seatIndex - mySeatIndex + 9) % 9;
+        // Calculate relative seat position (0 is bottom/me), spread over the 9 positions around the table
+        const seatCount = cfg.seatCount;
+        let relativeSeat = Math.round(((p.seatIndex - mySeatIndex + seatCount) % seatCount) * 9 / seatCount);
         
         const seatEl = document.createElement('div');
         seatEl.className = `seat seat-${relativeSeat}`;
         if(p.isTurn) seatEl.classList.add('active-turn');
         if(p.status === 'folded') seatEl.classList.add('folded');
+        if(p.disconnected) seatEl.classList.add('disconnected');
+        if(p.away) seatEl.classList.add('away');
+        seatEl.title = statsText(p);
 
         let cardsHtml = '';
         // If it's me, show my cards (stored locally)
-        if(p.id === socket.id && window.myHoleCards) {
+        if(p.id === myPlayerId && window.myHoleCards) {
              // Render inside a specific container in the seat
         } else if(p.hasCards) {
             // Show back of cards
-             cardsHtml = `<div class="player-cards"><div class="card card-back"></div><div class="card card-back"></div></div>`;
+             cardsHtml = `<div class="${cardsClass}">${'<div class="card card-back"></div>'.repeat(holeCardCount)}</div>`;
         }
 
-        // If Showdown, server sends cards
-        if(state.status === 'showdown' && p.cards) {
-             cardsHtml = `<div class="player-cards">
-                ${createCardString(p.cards[0])}
-                ${createCardString(p.cards[1])}
-             </div>`;
+        // Shown at showdown, or face up once all in, the server sends the cards; null for one still hidden
+        if(p.cards && p.id !== myPlayerId) {
+             cardsHtml = `<div class="${cardsClass}">${p.cards.map(c => c ? createCardString(c) : '<div class="card card-back"></div>').join('')}</div>`;
+        }
+        if(state.status === 'showdown' && window.winnerIds && window.winnerIds.includes(p.id)) {
+             seatEl.classList.add('winner');
         }
 
         seatEl.innerHTML = `
@@ -156,35 +761,118 @@ function renderTable(state) {
             <div>$${p.chips}</div>
             <div style="font-size:10px; color:#ccc;">${p.bet > 0 ? 'Bet: '+p.bet : ''}</div>
             ${p.status === 'all-in' ? '<div style="color:red; font-weight:bold;">ALL IN</div>' : ''}
+            ${p.equity ? `<div class="equity-label">${equityText(p.equity)}</div>` : ''}
+            ${p.disconnected ? '<div class="disconnected-label">disconnected</div>' : ''}
+            ${p.away ? '<div class="disconnected-label">sitting out</div>' : ''}
+            ${!p.away && p.missedBlinds ? `<div class="disconnected-label">${missedBlindsText(p, cfg)}</div>` : ''}
+            ${p.id === state.hostId ? '<div class="host-badge">★ host</div>' : ''}
+            ${p.isStraddle ? '<div class="disconnected-label">straddle</div>' : ''}
             ${p.isDealer ? '<div class="dealer-btn">D</div>' : ''}
+            ${state.turn && state.turn.playerId === p.id ? '<div class="turn-ring"><span></span></div>' : ''}
+            ${p.isBot && inLobby && isHost ? `<div class="remove-bot" onclick="removeBot('${p.id}')" title="Remove bot">✕</div>` : ''}
         `;
 
         // If it's me, append my real cards if I have them
-        if(p.id === socket.id && window.myHoleCards && state.status !== 'showdown' && p.status !== 'folded') {
+        if(p.id === myPlayerId && window.myHoleCards && p.hasCards && p.status !== 'folded') {
             const cardDiv = document.createElement('div');
-            cardDiv.className = 'player-cards';
-            cardDiv.appendChild(createCardEl(window.myHoleCards[0]));
-            cardDiv.appendChild(createCardEl(window.myHoleCards[1]));
+            cardDiv.className = cardsClass;
+            window.myHoleCards.forEach(c => cardDiv.appendChild(createCardEl(c)));
             seatEl.appendChild(cardDiv);
         }
 
         seatsContainer.appendChild(seatEl);
     });
+    renderTurnClock();
+}
+
+// Seat tooltip: this room's numbers for the player
+function statsText(p) {
+    const s = p.stats;
+    if (!s) return `${p.nickname}: no hands yet`;
+    const pct = (v) => v === null ? '-' : `${v}%`;
+    const af = s.aggression !== null ? s.aggression.toFixed(2) : (s.aggressiveActions > 0 ? '∞' : '-');
+    return [
+        `${p.nickname}: ${s.hands} hand${s.hands === 1 ? '' : 's'}`,
+        `VPIP ${pct(s.vpip)} · PFR ${pct(s.pfr)} · AF ${af}`,
+        `Showdowns won ${pct(s.showdownWinRate)} of ${s.showdowns}`,
+        `Biggest pot ${s.biggestPot} · Net ${s.net > 0 ? '+' : ''}${s.net}`
+    ].join('\n');
+}
+
+// Run-out odds: "Win 45.2% · Tie 1.3%"
+function equityText(e) {
+    const pct = (x) => `${(x * 100).toFixed(1)}%`;
+    return e.tie > 0 ? `Win ${pct(e.win)} · Tie ${pct(e.tie)}` : `Win ${pct(e.win)}`;
+}
+
+// What a player coming back owes, under the table's missed-blind rule
+function missedBlindsText(p, cfg) {
+    if (cfg.missedBlinds === 'wait' && p.missedBlinds === 'big') return 'waiting for big blind';
+    return p.missedBlinds === 'big' ? 'posts small & big blind' : 'posts dead small blind';
+}
+
+// Spectator list, plus seat and waitlist buttons while I'm watching
+function renderSpectators(state, me) {
+    const names = (list) => list.map(s => s.nickname).join(', ');
+    let text = state.spectators.length > 0 ? `Watching: ${names(state.spectators)}` : '';
+    if (state.waitlist.length > 0) text += ` · Waitlist: ${names(state.waitlist)}`;
+    document.getElementById('spectator-display').innerText = text;
+
+    const watching = !me && state.spectators.some(s => s.id === myPlayerId);
+    const openSeat = !state.tournament && state.players.length < state.config.maxPlayers;
+    const onWaitlist = state.waitlist.some(s => s.id === myPlayerId);
+    document.getElementById('spectator-controls').style.display = watching ? 'flex' : 'none';
+    btnTakeSeat.style.display = openSeat && state.waitlist.length === 0 ? 'block' : 'none';
+    btnTakeSeat.disabled = state.status === 'playing';
+    btnWaitlist.style.display = !state.tournament && (!openSeat || state.waitlist.length > 0) ? 'block' : 'none';
+    btnWaitlist.innerText = onWaitlist ? 'Leave Waitlist' : 'Join Waitlist';
+    btnWaitlist.dataset.on = onWaitlist ? '1' : '';
+}
+
+function renderFairness(f) {
+    const shortHash = (h) => h.substring(0, 12) + '…';
+    const sealed = f.sealedHands > 0 ? ` · ${f.sealedHands} hand${f.sealedHands === 1 ? '' : 's'} to reveal when the game is over or the host reveals them` : '';
+    document.getElementById('fairness-display').innerText = (f.current
+        ? `Hand ${f.current.nonce} deck hash ${shortHash(f.current.deckHash)} · seed hash ${shortHash(f.current.serverSeedHash)}`
+        : `Next seed hash ${shortHash(f.nextServerSeedHash)}`) + sealed;
+
+    const link = document.getElementById('verify-link');
+    const r = f.lastReveal;
+    if (!r) {
+        link.style.display = 'none';
+        return;
+    }
+    const params = new URLSearchParams({
+        serverSeed: r.serverSeed,
+        serverSeedHash: r.serverSeedHash,
+        clientSeed: r.clientSeed,
+        nonce: r.nonce,
+        lowestRank: r.lowestRank,
+        deckHash: r.deckHash,
+        deck: r.deck.join(' ')
+    });
+    link.href = `verify.html?${params}`;
+    link.innerText = `Verify hand ${r.nonce}`;
+    link.style.display = 'inline';
 }
 
 function renderMyCards() {
     // Triggered by specific socket event, but usually handled by state update loop
 }
 
+function isWinningCard(cardObj) {
+    return !!window.winningCards && window.winningCards.some(c => c.rank === cardObj.rank && c.suit === cardObj.suit);
+}
+
 function createCardEl(cardObj) {
     const el = document.createElement('div');
     const isRed = cardObj.suit === '♥' || cardObj.suit === '♦';
-    el.className = `card ${isRed ? 'red' : ''}`;
+    el.className = `card ${isRed ? 'red' : ''} ${isWinningCard(cardObj) ? 'winning' : ''}`;
     el.innerText = `${cardObj.rank}${cardObj.suit}`;
     return el;
 }
 
 function createCardString(cardObj) {
     const isRed = cardObj.suit === '♥' || cardObj.suit === '♦';
-    return `<div class="card ${isRed ? 'red' : ''}">${cardObj.rank}${cardObj.suit}</div>`;
+    return `<div class="card ${isRed ? 'red' : ''} ${isWinningCard(cardObj) ? 'winning' : ''}">${cardObj.rank}${cardObj.suit}</div>`;
 }
\ No newline at end of file
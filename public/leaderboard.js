@@ -0,0 +1,99 @@
+// Player stats from /stats.json (every room, all nights) or /rooms/:roomId/stats.json (one room)
+
+const params = new URLSearchParams(location.search);
+const roomName = params.get('room');
+// Rooms with a password need the room's access key (the table's links carry it), or the password
+const access = params.get('key') ? `?key=${encodeURIComponent(params.get('key'))}`
+    : params.get('password') ? `?password=${encodeURIComponent(params.get('password'))}` : '';
+const source = roomName ? `/rooms/${encodeURIComponent(roomName)}/stats.json${access}` : '/stats.json';
+
+const COLUMNS = [
+    { key: 'nickname', title: 'Player', text: p => p.isBot ? `${p.nickname} (bot)` : p.nickname },
+    { key: 'hands', title: 'Hands' },
+    { key: 'vpip', title: 'VPIP', text: p => percentText(p.vpip) },
+    { key: 'pfr', title: 'PFR', text: p => percentText(p.pfr) },
+    { key: 'aggression', title: 'AF', text: aggressionText },
+    { key: 'showdowns', title: 'Showdowns' },
+    { key: 'showdownWinRate', title: 'W$SD', text: p => percentText(p.showdownWinRate) },
+    { key: 'biggestPot', title: 'Biggest pot' },
+    { key: 'net', title: 'Net chips', text: p => (p.net > 0 ? '+' : '') + p.net }
+];
+
+let players = [];
+let sortKey = 'net';
+
+document.getElementById('scope').innerText = roomName ? `room ${roomName}` : 'all rooms';
+if (roomName) {
+    const all = document.createElement('a');
+    all.href = 'leaderboard.html';
+    all.className = 'history-link';
+    all.innerText = 'Show every room';
+    document.getElementById('scope-links').appendChild(all);
+}
+document.getElementById('btnRefresh').onclick = load;
+load();
+
+function percentText(value) {
+    return value === null ? '-' : `${value}%`;
+}
+
+// No calls to divide by: all aggression or no postflop play at all
+function aggressionText(p) {
+    if (p.aggression !== null) return p.aggression.toFixed(2);
+    return p.aggressiveActions > 0 ? '∞' : '-';
+}
+
+function cell(tag, text, className) {
+    const el = document.createElement(tag);
+    el.textContent = text;
+    if (className) el.className = className;
+    return el;
+}
+
+function load() {
+    fetch(source)
+        .then(res => res.json().then(body => res.ok ? body : Promise.reject(new Error(body.error))))
+        .then(list => { players = list; render(); })
+        .catch(err => { document.getElementById('scope-links').innerText = err.message; });
+}
+
+// Names A to Z, numbers biggest first; no value last
+function compare(a, b) {
+    if (sortKey === 'nickname') return a.nickname.localeCompare(b.nickname);
+    const value = (p) => sortKey === 'aggression' && p.aggression === null && p.aggressiveActions > 0 ? Infinity : p[sortKey];
+    const x = value(a), y = value(b);
+    if (x === y) return 0;
+    if (x === null) return 1;
+    if (y === null) return -1;
+    return y - x;
+}
+
+function render() {
+    const table = document.getElementById('stats-table');
+    table.innerHTML = '';
+
+    const header = document.createElement('tr');
+    COLUMNS.forEach(c => {
+        const th = cell('th', c.key === sortKey ? `${c.title} ▾` : c.title, 'sortable');
+        th.onclick = () => { sortKey = c.key; render(); };
+        header.appendChild(th);
+    });
+    table.appendChild(header);
+
+    if (players.length === 0) {
+        const tr = document.createElement('tr');
+        tr.appendChild(cell('td', 'No hands played yet.'));
+        table.appendChild(tr);
+        return;
+    }
+
+    [...players].sort(compare).forEach(p => {
+        const tr = document.createElement('tr');
+        COLUMNS.forEach(c => {
+            const td = cell('td', c.text ? c.text(p) : p[c.key]);
+            if (c.key === 'net') td.className = p.net >= 0 ? 'check-ok' : 'check-fail';
+            tr.appendChild(td);
+        });
+        table.appendChild(tr);
+    });
+}
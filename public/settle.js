@@ -0,0 +1,72 @@
+// End-of-night results for one room, from /rooms/:roomId/ledger.json
+
+const params = new URLSearchParams(location.search);
+const roomName = params.get('room') || '';
+const base = `/rooms/${encodeURIComponent(roomName)}/ledger`;
+// Rooms with a password need the room's access key (the table's links carry it), or the password
+const access = params.get('key') ? `?key=${encodeURIComponent(params.get('key'))}`
+    : params.get('password') ? `?password=${encodeURIComponent(params.get('password'))}` : '';
+
+document.getElementById('room-name').innerText = roomName;
+document.getElementById('csv-link').href = `${base}.csv${access}`;
+document.getElementById('btnRefresh').onclick = load;
+load();
+
+function money(amount) {
+    return (amount > 0 ? '+' : '') + amount.toFixed(2);
+}
+
+function cell(tag, text, className) {
+    const el = document.createElement(tag);
+    el.textContent = text;
+    if (className) el.className = className;
+    return el;
+}
+
+function row(table, tag, values) {
+    const tr = document.createElement('tr');
+    values.forEach(v => tr.appendChild(typeof v === 'object' ? v : cell(tag, v)));
+    table.appendChild(tr);
+}
+
+function load() {
+    fetch(`${base}.json${access}`)
+        .then(res => res.json().then(body => res.ok ? body : Promise.reject(new Error(body.error))))
+        .then(render)
+        .catch(err => { document.getElementById('rate').innerText = err.message; });
+}
+
+function render(report) {
+    document.getElementById('rate').innerText =
+        `1 chip = ${report.chipValue}. Players still seated count as cashing out their current stack.`;
+
+    const results = document.getElementById('results-table');
+    results.innerHTML = '';
+    row(results, 'th', ['Player', 'Buy-ins', 'Rebuys', 'Add-ons', 'Adjustments', 'Cashed out', 'Stack', 'Net chips', 'Net']);
+    report.players.forEach(p => row(results, 'td', [
+        p.isBot ? `${p.nickname} (bot)` : p.nickname,
+        p.buyIns, p.rebuys, p.addOns, p.adjustments, p.cashedOut, p.stack, p.net,
+        cell('td', money(p.netMoney), p.netMoney >= 0 ? 'check-ok' : 'check-fail')
+    ]));
+
+    const transfers = document.getElementById('transfers-table');
+    transfers.innerHTML = '';
+    if (report.transfers.length === 0) {
+        row(transfers, 'td', ['Nothing to settle.']);
+    } else {
+        row(transfers, 'th', ['From', 'To', 'Amount']);
+        report.transfers.forEach(t => row(transfers, 'td', [t.from, t.to, t.amount.toFixed(2)]));
+    }
+
+    document.getElementById('unsettled').innerText = report.unsettled === 0 ? '' : report.unsettled > 0
+        ? `Bots lost ${report.unsettled.toFixed(2)} to the table; that part is not settled.`
+        : `Bots won ${(-report.unsettled).toFixed(2)} from the table; that part is not settled.`;
+
+    const adjustments = document.getElementById('adjustments-table');
+    adjustments.innerHTML = '';
+    document.getElementById('adjustments').style.display = report.adjustments.length > 0 ? 'block' : 'none';
+    row(adjustments, 'th', ['Time', 'Player', 'Chips', 'By', 'Reason']);
+    report.adjustments.forEach(a => row(adjustments, 'td', [
+        new Date(a.at).toLocaleString(), a.nickname, a.chips > 0 ? `+${a.chips}` : a.chips, a.by, a.reason || ''
+    ]));
+}
@@ -0,0 +1,44 @@
+// Recomputes a hand's shuffle with the same code the server uses (fairness.js)
+
+const FIELDS = ['serverSeed', 'serverSeedHash', 'clientSeed', 'nonce', 'lowestRank', 'deckHash', 'deck'];
+const SUIT_SYMBOL = { s: '♠', h: '♥', d: '♦', c: '♣' };
+
+// Prefill from the table's "Verify hand" link
+const params = new URLSearchParams(location.search);
+FIELDS.forEach(f => {
+    if (params.has(f)) document.getElementById(f).value = params.get(f);
+});
+
+document.getElementById('btnVerify').onclick = verify;
+if (params.has('serverSeed')) verify();
+
+function verify() {
+    const value = (f) => document.getElementById(f).value.trim();
+    const deck = value('deck');
+    const result = Fairness.verifyHand({
+        serverSeed: value('serverSeed'),
+        serverSeedHash: value('serverSeedHash'),
+        clientSeed: value('clientSeed'),
+        nonce: parseInt(value('nonce')),
+        lowestRank: value('lowestRank'),
+        deckHash: value('deckHash'),
+        deck: deck ? deck.split(/\s+/) : null
+    });
+
+    const check = (ok, text) => `<div class="${ok ? 'check-ok' : 'check-fail'}">${ok ? '✔' : '✘'} ${text}</div>`;
+    const dealOrder = [...result.deck].reverse(); // Cards are dealt from the end of the deck
+
+    document.getElementById('verify-result').innerHTML = [
+        check(result.commitmentOk, 'The server seed matches the hash published before the hand'),
+        value('deckHash') ? check(result.deckHashOk, 'The recomputed deck matches the published deck hash') : '',
+        deck ? check(result.deckOk, 'The recomputed deck matches the revealed deck') : '',
+        '<h3>Cards in dealing order</h3>',
+        `<div class="verify-deck">${dealOrder.map(cardHtml).join('')}</div>`
+    ].join('');
+}
+
+function cardHtml(code) {
+    const suit = SUIT_SYMBOL[code[1]];
+    const isRed = suit === '♥' || suit === '♦';
+    return `<div class="card ${isRed ? 'red' : ''}">${code[0]}${suit}</div>`;
+}
@@ -1,7 +1,16 @@
 const express = require('express');
 const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
-const { Deck, evaluateHand } = require('./poker');
+const { TableEngine } = require('./engine');
+const history = require('./history');
+const bots = require('./bots');
+const store = require('./store');
+const chat = require('./chat');
+const ledger = require('./ledger');
+const equity = require('./equity');
+const stats = require('./stats');
 
 const app = express();
 const server = http.createServer(app);
@@ -9,549 +18,643 @@ const io = new Server(server);
 
 app.use(express.static('public'));
 
-// --- GAME STATE ---
-const rooms = {}; 
+// Shared with the verification page, so it recomputes shuffles with the server's own code
+app.get('/fairness.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'fairness.js'));
+});
 
-// Constants
-const STARTING_CHIPS = 200;
-const SMALL_BLIND = 1;
-const BIG_BLIND = 2;
-const TURN_TIMEOUT_SEC = 20;
+// --- LOBBY ---
 
-// --- HELPER FUNCTIONS ---
+// Rooms anyone can see: all but the private ones
+app.get('/rooms.json', (req, res) => {
+    res.json(lobbyList());
+});
 
-function getRoom(roomId) {
-    return rooms[roomId];
+// The room behind a /rooms/:roomId route, or { status, error }. A room with a password only
+// answers with the room's read-only access key (?key=, members get it) or the password (?password=).
+// Never the session token: that one takes over a seat.
+function roomForRequest(req) {
+    const room = rooms[req.params.roomId] || closedRooms[req.params.roomId];
+    if (!room) return { status: 404, error: 'Room not found' };
+    const { key, password } = req.query;
+    if (typeof key === 'string' && key === room.engine.accessKey) return { room };
+    const refused = room.engine.checkPassword(password);
+    return refused ? { status: 403, error: refused } : { room };
 }
 
-function broadcastRoomState(roomId) {
-    const room = rooms[roomId];
-    if (!room) return;
-
-    // Sanitize state for clients
-    const publicPlayers = room.players.map(p => ({
-        id: p.id,
-        nickname: p.nickname,
-        chips: p.chips,
-        seatIndex: p.seatIndex,
-        status: p.status, // 'active', 'folded', 'all-in', 'sitting-out'
-        bet: p.currentBet,
-        isDealer: p.seatIndex === room.dealerIndex,
-        isSB: p.seatIndex === room.sbIndex,
-        isBB: p.seatIndex === room.bbIndex,
-        isTurn: room.gameStatus === 'playing' && p.seatIndex === room.currentTurnIndex,
-        cards: room.gameStatus === 'showdown' ? p.hand : null, // Show cards only at showdown
-        hasCards: p.hand.length > 0
-    }));
-
-    io.to(roomId).emit('roomStateUpdate', {
-        roomId: room.id,
-        status: room.gameStatus, // 'waiting', 'playing'
-        communityCards: room.communityCards,
-        pot: room.pot,
-        currentBet: room.highestBet,
-        players: publicPlayers,
-        minPlayers: room.minPlayers
-    });
-}
+// --- HAND HISTORY DOWNLOADS ---
 
-function nextTurn(room) {
-    if(room.gameStatus !== 'playing') return;
+app.get('/rooms/:roomId/history.json', (req, res) => {
+    const { room, status, error } = roomForRequest(req);
+    if (!room) return res.status(status).json({ error });
+    res.attachment(`${room.id}-history.json`);
+    res.json(room.engine.handHistory);
+});
 
-    clearTimeout(room.turnTimer);
+app.get('/rooms/:roomId/history.txt', (req, res) => {
+    const { room, status, error } = roomForRequest(req);
+    if (!room) return res.status(status).type('text/plain').send(error);
+    res.attachment(`${room.id}-history.txt`);
+    res.type('text/plain').send(history.toTextFile(room.engine.handHistory));
+});
 
-    // Find next active player
-    let playersChecked = 0;
-    let nextIndex = (room.currentTurnIndex + 1) % 9; // Max seats 9
+// --- SETTLE UP ---
 
-    while (playersChecked < 9) {
-        const p = room.players.find(pl => pl.seatIndex === nextIndex);
-        if (p && p.status === 'active' && p.chips > 0) {
-            room.currentTurnIndex = nextIndex;
-            startTurnTimer(room, p);
-            return;
-        }
-        nextIndex = (nextIndex + 1) % 9;
-        playersChecked++;
-    }
+app.get('/rooms/:roomId/ledger.json', (req, res) => {
+    const { room, status, error } = roomForRequest(req);
+    if (!room) return res.status(status).json({ error });
+    res.json(room.engine.getLedger());
+});
 
-    // If loop finishes, round might be over
-    checkRoundEnd(room);
-}
+app.get('/rooms/:roomId/ledger.csv', (req, res) => {
+    const { room, status, error } = roomForRequest(req);
+    if (!room) return res.status(status).type('text/plain').send(error);
+    res.attachment(`${room.id}-ledger.csv`);
+    res.type('text/csv').send(ledger.toCsv(room.engine.getLedger()));
+});
 
-function checkRoundEnd(room) {
-    if (room.gameStatus !== 'playing') return true;
+// --- PLAYER STATS ---
 
-    // Are all active players bets equal to highest bet?
-    const activePlayers = room.players.filter(p => p.status === 'active' || p.status === 'all-in');
-    const bettingPlayers = activePlayers.filter(p => p.status === 'active'); // Not all-in
+// Every hand played on this server, across rooms and restarts
+app.get('/stats.json', (req, res) => {
+    res.json(stats.leaderboard(playerStats));
+});
 
-    // If only 1 player left (everyone else folded)
-    const foldedCount = room.players.filter(p => p.status === 'folded').length;
-    const totalInHand = room.players.filter(p => p.hand.length > 0).length;
-    
-    if (totalInHand - foldedCount === 1) {
-        endHand(room);
-        return true;
-    }
+// This room's hands only, e.g. tonight's game
+app.get('/rooms/:roomId/stats.json', (req, res) => {
+    const { room, status, error } = roomForRequest(req);
+    if (!room) return res.status(status).json({ error });
+    res.json(room.engine.getStats());
+});
 
-    // Check if betting is done
-    const allMatched = bettingPlayers.every(p => p.currentBet === room.highestBet);
-    
-    // Check if everyone checked (bet 0) or everyone matched bets
-    // Also make sure everyone had a chance to act if there was no raise? 
-    // Simplified: If all matched and we circled back to the original raiser/BB
-    
-    // We use a simplified flag 'actionClosed' which we would need to track more complexly.
-    // Instead, let's assume if everyone matched and last actor wasn't a raise that requires response.
-    
-    // Easier: Count actions. If everyone acted >= 1 time and bets match -> Next Street.
-    const pendingAction = bettingPlayers.some(p => p.actedInRound === false || p.currentBet < room.highestBet);
-    
-    if (!pendingAction) {
-        nextStreet(room);
-        return true;
-    }
+// --- EQUITY CALCULATOR ---
 
-    return false;
+// Requests from the host's own machine; the rest of the LAN shouldn't tie up the game server
+function isLoopback(address) {
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address);
 }
 
-function startTurnTimer(room, player) {
-    broadcastRoomState(room.id);
-    
-    // Send specific turn event to active player
-    const minRaise = (room.highestBet - player.currentBet) + (room.lastRaiseAmount || BIG_BLIND);
-    const callAmount = room.highestBet - player.currentBet;
-    
-    io.to(player.id).emit('yourTurn', {
-        callAmount: callAmount,
-        minRaise: room.highestBet + (room.lastRaiseAmount || BIG_BLIND),
-        canCheck: callAmount === 0
-    });
+// For looking back at hands: /equity.json?hands=AhKd,QsQc&board=2c7d9h&variant=holdem[&trials=5000]
+app.get('/equity.json', (req, res) => {
+    if (!isLoopback(req.socket.remoteAddress)) {
+        return res.status(403).json({ error: 'The equity calculator only answers on the host machine.' });
+    }
+    const result = equity.analyze(req.query);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json(result);
+});
 
-    room.turnTimer = setTimeout(() => {
-        console.log(`Turn timeout for ${player.nickname}`);
-        handlePlayerAction(room, player, { action: 'fold' });
-    }, TURN_TIMEOUT_SEC * 1000);
+// --- GAME STATE ---
+// Game rules live in engine.js; this file only connects tables to sockets and timers.
+// Maps keyed by what clients send (room names, tokens, and nicknames in ledger.js and stats.js) have
+// no prototype, and lookups in fixed tables use Object.hasOwn: 'constructor' is just another key
+const rooms = Object.create(null);    // roomId -> { id, engine, turnTimer, runoutTimer, nextHandTimer, levelTimer, idleTimer, graceTimers, chatLog, chatTimes }
+const sessions = Object.create(null); // sessionToken -> { roomId, playerId, socketId }
+const closedRooms = Object.create(null); // roomId -> { id, engine, closedAt }, see closeRoom
+let playerStats = stats.createTotals(); // Running totals over all rooms, see stats.js
+
+// Constants (table limits, blinds and stacks are per room, see config.js)
+const RECONNECT_GRACE_SEC = 60; // How long a dropped player's seat is held
+const RESTORE_GRACE_SEC = 600; // Same, for everyone, after a server restart
+const SAVE_DELAY_MS = 1000; // Changes within this window go to disk in one write
+const BOT_THINK_MS = [800, 2000]; // Bots wait a random time in this range before acting
+const EMPTY_ROOM_TTL_SEC = 600; // A room with nobody but bots in it is closed after this long
+const LOBBY_UPDATE_MS = 1000; // Changes within this window go to the lobby in one update
+const MAX_CLOSED_ROOMS = 10; // Closed rooms whose downloads still answer, the latest ones
+
+// --- HELPER FUNCTIONS ---
+
+// Socket.IO room carrying one player's private events, whichever socket they are on
+function playerChannel(playerId) {
+    return `player:${playerId}`;
 }
 
-function nextStreet(room) {
-    // Gather bets into pot
-    room.players.forEach(p => {
-        room.pot += p.currentBet;
-        p.currentBet = 0;
-        p.actedInRound = false;
-    });
-    room.highestBet = 0;
-    room.lastRaiseAmount = BIG_BLIND;
-
-    if (room.roundName === 'preflop') {
-        room.roundName = 'flop';
-        room.communityCards = room.deck.deal() ? [room.deck.deal(), room.deck.deal(), room.deck.deal()] : []; // Deal 3
-    } else if (room.roundName === 'flop') {
-        room.roundName = 'turn';
-        room.communityCards.push(room.deck.deal());
-    } else if (room.roundName === 'turn') {
-        room.roundName = 'river';
-        room.communityCards.push(room.deck.deal());
-    } else if (room.roundName === 'river') {
-        endHand(room);
-        return;
-    }
+function createRoom(roomName, engine) {
+    const room = {
+        id: roomName,
+        engine,
+        turnTimer: null,
+        runoutTimer: null,
+        nextHandTimer: null,
+        levelTimer: null,
+        idleTimer: null,
+        graceTimers: {},
+        chatLog: [],  // Recent messages, for players who join later
+        chatTimes: {} // playerId -> recent send times, for flood protection
+    };
+    rooms[roomName] = room;
+    return room;
+}
+
+// Runs an engine command, delivers its events and broadcasts the new state.
+// Returns the engine's error message (for the requester), if any.
+function run(room, command) {
+    // Timers of a closed room may still fire
+    if (rooms[room.id] !== room) return null;
+    const { state, events, error } = room.engine.dispatch(command);
+    events.forEach(event => deliver(room, event));
+    io.to(room.id).emit('roomStateUpdate', state);
+    watchIdle(room);
+    scheduleLobbyUpdate();
+    scheduleSave();
+    return error;
+}
 
-    // Reset turn to first active player left of Dealer
-    let nextIdx = (room.dealerIndex + 1) % 9;
-    room.currentTurnIndex = nextIdx - 1; // -1 because nextTurn adds 1
-    
-    // Check if hand ended during street transition (e.g. all all-in)
-    const active = room.players.filter(p => p.status === 'active');
-    if (active.length < 2) {
-        // Auto-run remaining streets
-        while(room.communityCards.length < 5) {
-            room.communityCards.push(room.deck.deal());
+function deliver(room, event) {
+    switch (event.type) {
+        case 'notification':
+            io.to(room.id).emit('notification', event.message);
+            break;
+        case 'holeCards':
+            io.to(playerChannel(event.playerId)).emit('holeCards', event.cards);
+            break;
+        case 'turn':
+            startTurnTimer(room, event);
+            break;
+        case 'turnTimer':
+            setTurnTimer(room, event.playerId, event.timeoutMs);
+            break;
+        case 'handResult':
+            clearTimeout(room.turnTimer);
+            io.to(room.id).emit('handResult', { message: event.message, winners: event.winners, pots: event.pots, runs: event.runs });
+            break;
+        case 'handComplete':
+            clearTimeout(room.nextHandTimer);
+            room.nextHandTimer = setTimeout(() => run(room, { type: 'nextHand' }), event.delayMs);
+            break;
+        case 'runout':
+            clearTimeout(room.turnTimer);
+            clearTimeout(room.runoutTimer);
+            room.runoutTimer = setTimeout(() => run(room, { type: 'runOut' }), event.delayMs);
+            break;
+        case 'levelTimer':
+            clearTimeout(room.levelTimer);
+            if (event.ms !== null) {
+                room.levelTimer = setTimeout(() => run(room, { type: 'advanceLevel' }), event.ms);
+            }
+            break;
+        case 'tournamentResult':
+            io.to(room.id).emit('tournamentResult', { standings: event.standings, prizePool: event.prizePool });
+            break;
+        case 'pause':
+            clearTimeout(room.turnTimer);
+            clearTimeout(room.nextHandTimer);
+            clearTimeout(room.runoutTimer);
+            break;
+        case 'kicked': {
+            const channel = playerChannel(event.playerId);
+            io.to(channel).emit('kicked', event.banned ? 'You were banned from this room.' : 'The host removed you from the room.');
+            io.in(channel).socketsLeave([room.id, channel]);
+            forgetMember(room, event.playerId);
+            break;
         }
-        endHand(room);
-        return;
+        case 'accessKey':
+            io.to(room.id).emit('accessKey', event.key);
+            break;
+        case 'handRecorded':
+            stats.addHand(playerStats, event.hand);
+            break;
     }
-
-    nextTurn(room);
-    broadcastRoomState(room.id);
 }
 
-function endHand(room) {
-    room.gameStatus = 'showdown';
-    clearTimeout(room.turnTimer);
+function startTurnTimer(room, turn) {
+    const player = room.engine.getPlayer(turn.playerId);
 
-    // 1. Determine candidates
-    const candidates = room.players.filter(p => p.status !== 'folded' && p.status !== 'sitting-out' && p.hand.length > 0);
-    
-    if (candidates.length === 1) {
-        // Winner by default
-        const winner = candidates[0];
-        winner.chips += room.pot;
-        io.to(room.id).emit('handResult', { 
-            message: `${winner.nickname} wins ${room.pot} chips (everyone else folded).`
-        });
-    } else {
-        // Showdown
-        let results = candidates.map(p => {
-            const eval = evaluateHand(p.hand, room.communityCards);
-            return { player: p, score: eval.score, name: eval.name, handName: eval.name };
-        });
+    // Send specific turn event to active player
+    io.to(playerChannel(turn.playerId)).emit('yourTurn', turn.info);
+    if (player.isBot) scheduleBotAction(room, player);
 
-        // Sort by score descending
-        results.sort((a, b) => b.score - a.score);
-        
-        const winnerResult = results[0];
-        // Handle ties (simplified: if scores equal, split pot)
-        const winners = results.filter(r => r.score === winnerResult.score);
-        
-        const splitAmount = Math.floor(room.pot / winners.length);
-        const winnerNames = [];
-
-        winners.forEach(w => {
-            w.player.chips += splitAmount;
-            winnerNames.push(`${w.player.nickname} (${w.handName})`);
-        });
+    setTurnTimer(room, turn.playerId, turn.timeoutMs);
+}
 
-        io.to(room.id).emit('handResult', { 
-            message: `Winner(s): ${winnerNames.join(', ')}. Pot: ${room.pot}`,
-            winners: winners.map(w => w.player.id)
-        });
-    }
+function setTurnTimer(room, playerId, timeoutMs) {
+    clearTimeout(room.turnTimer);
+    room.turnTimer = setTimeout(() => {
+        const player = room.engine.getPlayer(playerId);
+        if (player) console.log(`Turn timeout for ${player.nickname}`);
+        run(room, { type: 'timeout', playerId });
+    }, timeoutMs);
+}
 
-    // Reset for next hand
+function scheduleBotAction(room, bot) {
+    const [min, max] = BOT_THINK_MS;
     setTimeout(() => {
-        startNextHandOrWait(room);
-    }, 8000); // 8 seconds to see results
+        // The hand may have moved on (or the bot been removed) while it was thinking
+        const view = room.engine.botView(bot.id);
+        if (!view) return;
+        run(room, { type: 'act', playerId: bot.id, ...bots.decideAction(bot.botStyle, view) });
+    }, min + Math.random() * (max - min));
+}
 
-    broadcastRoomState(room.id);
+function addBot(room, style) {
+    const botStyle = Object.hasOwn(bots.BOT_STYLES, style) ? style : 'calling-station';
+    const state = room.engine.getState();
+    const nicknames = state.players.concat(state.spectators).map(p => p.nickname);
+    return run(room, {
+        type: 'join',
+        player: {
+            id: `bot-${crypto.randomBytes(6).toString('hex')}`,
+            nickname: bots.pickBotName(nicknames),
+            isBot: true,
+            botStyle
+        },
+        label: bots.BOT_STYLES[botStyle]
+    });
 }
 
-function startNextHandOrWait(room) {
-    // Reset player states
-    room.players.forEach(p => {
-        p.hand = [];
-        p.currentBet = 0;
-        p.actedInRound = false;
-        if (p.status !== 'sitting-out') {
-            p.status = p.chips > 0 ? 'waiting' : 'busted';
-        }
+function leaveRoom(room, playerId) {
+    forgetMember(room, playerId);
+    run(room, { type: 'leave', playerId });
+}
+
+// Drops the timers and sessions of someone who is no longer in the room
+function forgetMember(room, playerId) {
+    clearTimeout(room.graceTimers[playerId]);
+    delete room.graceTimers[playerId];
+    delete room.chatTimes[playerId];
+    Object.keys(sessions).forEach(token => {
+        if (sessions[token].playerId === playerId) delete sessions[token];
     });
-    room.pot = 0;
-    room.communityCards = [];
-    room.gameStatus = 'waiting';
-
-    // Check conditions to start new hand
-    const readyPlayers = room.players.filter(p => p.status === 'waiting' || p.status === 'active' || p.status === 'ready');
-    
-    // Need min 5 players with chips
-    const playersWithChips = readyPlayers.filter(p => p.chips > 0);
-
-    if (playersWithChips.length >= room.minPlayers) {
-        startGame(room);
-    } else {
-        broadcastRoomState(room.id);
-        io.to(room.id).emit('notification', "Waiting for more players or rebuys (Min 5)...");
-    }
 }
 
-function startGame(room) {
-    room.gameStatus = 'playing';
-    room.deck = new Deck();
-    room.pot = 0;
-    room.communityCards = [];
-    room.highestBet = 0;
-    room.roundName = 'preflop';
-    
-    // Move dealer button
-    // Find next seated player
-    let attempts = 0;
-    do {
-        room.dealerIndex = (room.dealerIndex + 1) % 9;
-        attempts++;
-    } while (!room.players.find(p => p.seatIndex === room.dealerIndex) && attempts < 9);
-
-    // Identify players in this hand
-    const playersInHand = room.players.filter(p => p.chips > 0 && p.status !== 'sitting-out');
-    
-    if (playersInHand.length < 2) {
-        room.gameStatus = 'waiting';
-        broadcastRoomState(room.id);
-        return;
+// Starts the countdown to closing the room once only bots are left, stops it when someone is back
+function watchIdle(room) {
+    if (!room.engine.isEmpty) {
+        clearTimeout(room.idleTimer);
+        room.idleTimer = null;
+    } else if (!room.idleTimer) {
+        room.idleTimer = setTimeout(() => closeRoom(room), EMPTY_ROOM_TTL_SEC * 1000);
     }
+}
 
-    playersInHand.forEach(p => {
-        p.status = 'active';
-        p.hand = [room.deck.deal(), room.deck.deal()];
-        p.currentBet = 0;
-        p.actedInRound = false;
-        // Send private cards
-        io.to(p.id).emit('holeCards', p.hand);
-    });
+function closeRoom(room) {
+    [room.turnTimer, room.runoutTimer, room.nextHandTimer, room.levelTimer].forEach(clearTimeout);
+    Object.values(room.graceTimers).forEach(clearTimeout);
+    delete rooms[room.id];
+    if (room.engine.handHistory.length > 0) archiveRoom(room.id, room.engine, Date.now());
+    console.log(`Closed empty room ${room.id}`);
+    scheduleLobbyUpdate();
+    scheduleSave();
+}
 
-    // Blinds
-    // Sort players by seat index to find SB/BB logic relative to dealer
-    // Simplified: find active player closest to left of dealer
-    const sortedSeats = playersInHand.sort((a, b) => a.seatIndex - b.seatIndex);
-    
-    const getNextPlayer = (fromIndex) => {
-        // Circular find next active player
-        let seats = [0,1,2,3,4,5,6,7,8];
-        // Shift array so fromIndex is at end, search from start
-        // Actually easier: just loop 1 to 9
-        for(let i=1; i<=9; i++) {
-            let idx = (fromIndex + i) % 9;
-            let p = playersInHand.find(pl => pl.seatIndex === idx);
-            if (p) return p;
-        }
-        return playersInHand[0];
-    };
+// The seeds are revealed by the time a room closes: its history, ledger and stats stay up
+// for verifying and settling, until a newer room of the same name closes or it is among the oldest
+function archiveRoom(id, engine, closedAt) {
+    closedRooms[id] = { id, engine, closedAt };
+    const oldest = Object.values(closedRooms).sort((a, b) => a.closedAt - b.closedAt);
+    oldest.slice(0, oldest.length - MAX_CLOSED_ROOMS).forEach(r => delete closedRooms[r.id]);
+}
 
-    const dealer = playersInHand.find(p => p.seatIndex === room.dealerIndex) || playersInHand[0];
-    const sbPlayer = getNextPlayer(dealer.seatIndex);
-    const bbPlayer = playersInHand.length === 2 ? dealer : getNextPlayer(sbPlayer.seatIndex); // Headsup rules different usually, but stick to standard
-    
-    room.sbIndex = sbPlayer.seatIndex;
-    room.bbIndex = bbPlayer.seatIndex;
-
-    // Post Blinds
-    // SB
-    let sbAmt = Math.min(sbPlayer.chips, SMALL_BLIND);
-    sbPlayer.chips -= sbAmt;
-    sbPlayer.currentBet = sbAmt;
-    
-    // BB
-    let bbAmt = Math.min(bbPlayer.chips, BIG_BLIND);
-    bbPlayer.chips -= bbAmt;
-    bbPlayer.currentBet = bbAmt;
-
-    room.highestBet = BIG_BLIND;
-    room.lastRaiseAmount = BIG_BLIND;
-
-    // Start turn: Under the Gun (left of BB)
-    const utgPlayer = getNextPlayer(bbPlayer.seatIndex);
-    room.currentTurnIndex = utgPlayer.seatIndex;
-
-    broadcastRoomState(room.id);
-    startTurnTimer(room, utgPlayer);
+// --- LOBBY ---
+let lobbyTimer = null;
+
+function lobbyList() {
+    return Object.values(rooms).map(r => r.engine.lobbyInfo()).filter(r => !r.isPrivate);
 }
 
-function handlePlayerAction(room, player, data) {
-    const { action, amount } = data;
-    
-    if (room.gameStatus !== 'playing') return;
-    if (player.seatIndex !== room.currentTurnIndex) return;
+// Sockets on the login screen are in the 'lobby' channel, see watchLobby
+function scheduleLobbyUpdate() {
+    if (lobbyTimer) return;
+    lobbyTimer = setTimeout(() => {
+        lobbyTimer = null;
+        io.to('lobby').emit('lobbyUpdate', lobbyList());
+    }, LOBBY_UPDATE_MS);
+}
 
-    clearTimeout(room.turnTimer);
+// --- PERSISTENCE ---
+let saveTimer = null;
 
-    // Validation logic
-    const toCall = room.highestBet - player.currentBet;
-
-    if (action === 'fold') {
-        player.status = 'folded';
-        io.to(room.id).emit('notification', `${player.nickname} folds.`);
-    } else if (action === 'check') {
-        if (toCall > 0) {
-            // Tried to check but needs to call -> reject or force fold? Force fold for simplicity
-             player.status = 'folded'; 
-        } else {
-            io.to(room.id).emit('notification', `${player.nickname} checks.`);
-        }
-    } else if (action === 'call') {
-        const contribution = Math.min(player.chips, toCall);
-        player.chips -= contribution;
-        player.currentBet += contribution;
-        if (player.chips === 0) player.status = 'all-in';
-        io.to(room.id).emit('notification', `${player.nickname} calls.`);
-    } else if (action === 'bet' || action === 'raise') {
-        let raiseTotal = parseInt(amount);
-        if (isNaN(raiseTotal)) raiseTotal = room.highestBet + BIG_BLIND; // Fallback
-        
-        // Check min raise
-        const minTotal = room.highestBet + (room.lastRaiseAmount || BIG_BLIND);
-        if (raiseTotal < minTotal && raiseTotal < (player.chips + player.currentBet)) {
-            // Invalid raise, treat as call
-            raiseTotal = minTotal; 
-        }
+function scheduleSave() {
+    if (!saveTimer) saveTimer = setTimeout(saveNow, SAVE_DELAY_MS);
+}
 
-        const needed = raiseTotal - player.currentBet;
-        if (needed > player.chips) {
-            // Not enough chips, treat as All-in
-            const actualBet = player.chips + player.currentBet;
-            player.chips = 0;
-            player.currentBet = actualBet;
-            player.status = 'all-in';
-            if (actualBet > room.highestBet) {
-                room.lastRaiseAmount = actualBet - room.highestBet;
-                room.highestBet = actualBet;
-            }
-            io.to(room.id).emit('notification', `${player.nickname} is All-in!`);
-        } else {
-            player.chips -= needed;
-            player.currentBet += needed;
-            const diff = player.currentBet - room.highestBet;
-            if (diff > 0) room.lastRaiseAmount = diff;
-            room.highestBet = player.currentBet;
-            io.to(room.id).emit('notification', `${player.nickname} raises to ${room.highestBet}.`);
-        }
-        
-        // Re-open betting for others
-        room.players.filter(p => p.status === 'active' && p.id !== player.id).forEach(p => p.actedInRound = false);
-    } else if (action === 'all-in') {
-         const total = player.chips + player.currentBet;
-         player.chips = 0;
-         player.currentBet = total;
-         player.status = 'all-in';
-         if (total > room.highestBet) {
-             room.lastRaiseAmount = total - room.highestBet;
-             room.highestBet = total;
-             // Re-open betting
-             room.players.filter(p => p.status === 'active' && p.id !== player.id).forEach(p => p.actedInRound = false);
-         }
-         io.to(room.id).emit('notification', `${player.nickname} goes All-in!`);
+function saveNow() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const savedSessions = {};
+    Object.entries(sessions).forEach(([token, s]) => {
+        savedSessions[token] = { roomId: s.roomId, playerId: s.playerId };
+    });
+    try {
+        store.save({
+            rooms: Object.values(rooms).map(r => r.engine.snapshot()),
+            closedRooms: Object.values(closedRooms).map(r => ({ closedAt: r.closedAt, room: r.engine.snapshot() })),
+            sessions: savedSessions,
+            stats: playerStats
+        });
+    } catch (err) {
+        console.error('Could not save state:', err.message);
     }
+}
 
-    player.actedInRound = true;
-    broadcastRoomState(room.id);
+// Brings back the rooms and sessions of the last run. Interrupted hands are voided
+// and every player gets a while to reconnect to their balance.
+function restoreState() {
+    const saved = store.load();
+    if (!saved) return;
 
-    // Advance betting round if everyone has acted; otherwise continue to the next player
-    const roundClosed = checkRoundEnd(room);
-    if (!roundClosed) {
-        nextTurn(room);
-    }
+    playerStats = stats.createTotals(saved.stats);
+    Object.entries(saved.sessions || {}).forEach(([token, s]) => {
+        sessions[token] = { roomId: s.roomId, playerId: s.playerId, socketId: null };
+    });
+    (saved.rooms || []).forEach(snapshot => {
+        const room = createRoom(snapshot.id, TableEngine.restore(snapshot));
+        run(room, { type: 'resume' });
+        const state = room.engine.getState();
+        state.players.filter(p => !p.isBot).concat(state.spectators).forEach(p => {
+            room.graceTimers[p.id] = setTimeout(() => leaveRoom(room, p.id), RESTORE_GRACE_SEC * 1000);
+        });
+    });
+    (saved.closedRooms || []).forEach(c => archiveRoom(c.room.id, TableEngine.restore(c.room), c.closedAt));
+    console.log(`Restored ${Object.keys(rooms).length} room(s) from ${store.DATA_FILE}`);
+}
+
+// The room and player a socket is seated as, or null
+function seatOf(socket) {
+    const { roomId, playerId } = socket.data;
+    const room = roomId && rooms[roomId];
+    if (!room || !room.engine.getPlayer(playerId)) return null;
+    return { room, playerId };
+}
+
+// Same for anyone in the room, seated or watching: { room, playerId, member } or null
+function memberOf(socket) {
+    const { roomId, playerId } = socket.data;
+    const room = roomId && rooms[roomId];
+    const member = room && (room.engine.getPlayer(playerId) || room.engine.getSpectator(playerId));
+    if (!member) return null;
+    return { room, playerId, member };
 }
 
+// Event data is whatever the client sent: handlers that take some ignore anything but an object
+function isPayload(data) {
+    return !!data && typeof data === 'object';
+}
 
 // --- SOCKET IO HANDLERS ---
 
 io.on('connection', (socket) => {
     console.log('New connection:', socket.id);
 
-    socket.on('joinRoom', ({ roomName, nickname }) => {
-        let room = rooms[roomName];
-        if (!room) {
-            // Create Room
-            room = {
-                id: roomName,
-                players: [],
-                gameStatus: 'waiting', // waiting, playing, showdown
-                minPlayers: 5,
-                dealerIndex: 0,
-                pot: 0,
-                communityCards: [],
-                deck: null,
-                turnTimer: null
-            };
-            rooms[roomName] = room;
+    // The room list, kept up to date until the socket joins a room
+    socket.on('watchLobby', () => {
+        socket.join('lobby');
+        socket.emit('lobbyUpdate', lobbyList());
+    });
+
+    socket.on('joinRoom', (data) => {
+        if (!isPayload(data)) return;
+        const { roomName, nickname, config, clientSeed, spectate, password, isPrivate } = data;
+        if (typeof roomName !== 'string' || typeof nickname !== 'string' || !roomName || !nickname) return;
+        const existing = rooms[roomName];
+        const refused = existing && existing.engine.checkPassword(password);
+        if (refused) {
+            socket.emit('joinRefused', refused);
+            return;
         }
 
-        if (room.players.length >= 9) {
-            socket.emit('error', 'Room is full');
+        // Create Room, the creator's settings apply for the room's lifetime
+        const room = existing || createRoom(roomName, new TableEngine(roomName, config));
+
+        // Spectators get an id too: it becomes their player id once they take a seat
+        const playerId = crypto.randomBytes(8).toString('hex');
+        const member = { id: playerId, nickname, clientSeed, address: socket.handshake.address };
+        const seatError = spectate ? null : run(room, { type: 'join', player: member });
+        // A full table or a running tournament can still be watched
+        const watchError = spectate || seatError ? run(room, { type: 'watch', spectator: member }) : null;
+        if (watchError) {
+            socket.emit('joinRefused', watchError);
             return;
         }
 
-        // Assign Seat
-        const takenSeats = room.players.map(p => p.seatIndex);
-        let seat = 0;
-        while (takenSeats.includes(seat)) seat++;
-
-        const player = {
-            id: socket.id,
-            nickname: nickname.substring(0, 12),
-            chips: STARTING_CHIPS,
-            seatIndex: seat,
-            status: 'waiting',
-            hand: [],
-            currentBet: 0,
-            actedInRound: false
-        };
-
-        room.players.push(player);
+        const token = crypto.randomBytes(16).toString('hex');
+        sessions[token] = { roomId: room.id, playerId, socketId: socket.id };
+        socket.data = { roomId: room.id, playerId };
+        socket.leave('lobby');
         socket.join(room.id);
+        socket.join(playerChannel(playerId));
+        // The creator is the host, and may lock the room right away
+        if (!existing && (password || isPrivate)) run(room, { type: 'setRoomAccess', playerId, password, isPrivate: !!isPrivate });
+
+        const joined = room.engine.getPlayer(playerId) || room.engine.getSpectator(playerId);
+        socket.emit('session', { token, roomName: room.id, nickname: joined.nickname, playerId, accessKey: room.engine.accessKey });
+        socket.emit('roomStateUpdate', room.engine.getState());
+        socket.emit('chatHistory', room.chatLog);
+        if (seatError) socket.emit('notification', `${seatError}. You are watching, join the waitlist for a seat.`);
+    });
 
-        // Broadcast
-        io.to(room.id).emit('notification', `${player.nickname} joined the table.`);
-        broadcastRoomState(room.id);
+    socket.on('resumeSession', (data) => {
+        if (!isPayload(data)) return;
+        const { token } = data;
+        const session = token && sessions[token];
+        const room = session && rooms[session.roomId];
+        const player = room && (room.engine.getPlayer(session.playerId) || room.engine.getSpectator(session.playerId));
+        if (!player) {
+            socket.emit('sessionExpired');
+            return;
+        }
+
+        // Same seat, new socket. A still-open old tab loses the seat to this one.
+        clearTimeout(room.graceTimers[player.id]);
+        const oldSocket = io.sockets.sockets.get(session.socketId);
+        session.socketId = socket.id;
+        if (oldSocket && oldSocket.id !== socket.id) {
+            oldSocket.data = {};
+            oldSocket.disconnect(true);
+        }
+
+        socket.data = { roomId: room.id, playerId: player.id };
+        socket.leave('lobby');
+        socket.join(room.id);
+        socket.join(playerChannel(player.id));
+        socket.emit('sessionResumed', { roomName: room.id, nickname: player.nickname, playerId: player.id, accessKey: room.engine.accessKey });
+        socket.emit('chatHistory', room.chatLog);
+        if (player.hand && player.hand.length > 0 && room.engine.status === 'playing') {
+            socket.emit('holeCards', player.hand);
+        }
+
+        run(room, { type: 'setConnected', playerId: player.id, connected: true });
+        const turn = room.engine.turnInfo(player.id);
+        if (turn) socket.emit('yourTurn', turn);
     });
 
     socket.on('startGameRequest', () => {
-        // Any player can request start if min players met
-        const room = Object.values(rooms).find(r => r.players.find(p => p.id === socket.id));
-        if (!room) return;
-        
-        if (room.gameStatus !== 'waiting') return;
-        if (room.players.length < room.minPlayers) {
-             socket.emit('error', `Need at least ${room.minPlayers} players.`);
-             return;
-        }
+        // The host starts the game once min players are met
+        const seat = memberOf(socket);
+        if (!seat) return;
 
-        startGame(room);
+        const error = run(seat.room, { type: 'start', playerId: seat.playerId });
+        if (error) socket.emit('notification', error);
     });
 
     socket.on('action', (data) => {
-        const room = Object.values(rooms).find(r => r.players.find(p => p.id === socket.id));
-        if (!room) return;
-        const player = room.players.find(p => p.id === socket.id);
-        if (player) {
-            handlePlayerAction(room, player, data);
+        if (!isPayload(data)) return;
+        const seat = seatOf(socket);
+        if (!seat) return;
+        const error = run(seat.room, { type: 'act', playerId: seat.playerId, action: data.action, amount: data.amount });
+        if (error) socket.emit('notification', error);
+    });
+
+    // Host controls; the engine checks that the sender is the host
+    ['kick', 'setPaused', 'moveSeat', 'adjustStack', 'setBlinds', 'callBombPot', 'setRoomAccess', 'makeHost', 'revealSeeds'].forEach(type => {
+        socket.on(type, (data) => {
+            const seat = memberOf(socket);
+            if (!seat || !isPayload(data)) return;
+
+            const { targetId, ban, paused, seat: seatIndex, chips, reason, smallBlind, bigBlind, ante, level, amount, password, isPrivate } = data;
+            const error = run(seat.room, {
+                type, playerId: seat.playerId, targetId, ban, paused, seat: seatIndex, chips, reason, smallBlind, bigBlind, ante, level, amount,
+                password, isPrivate
+            });
+            if (error) socket.emit('notification', error);
+        });
+    });
+
+    // Text or one of the quick emotes: { text } or { emote }
+    socket.on('chatMessage', (data) => {
+        const seat = memberOf(socket);
+        if (!seat || !isPayload(data)) return;
+        const { room, playerId, member } = seat;
+
+        const message = chat.createMessage(member, data);
+        if (!message) return;
+        const recent = room.chatTimes[playerId] = room.chatTimes[playerId] || [];
+        if (!chat.allowMessage(recent)) {
+            socket.emit('notification', 'You are sending messages too fast.');
+            return;
         }
+
+        chat.addToLog(room.chatLog, message);
+        io.to(room.id).emit('chat', message);
+    });
+
+    socket.on('setClientSeed', (data) => {
+        const seat = memberOf(socket);
+        if (!seat || !isPayload(data)) return;
+        const { seed } = data;
+
+        const error = run(seat.room, { type: 'setClientSeed', playerId: seat.playerId, seed });
+        socket.emit('notification', error || 'Client seed saved, it applies from the next hand.');
+    });
+
+    // Spectators: take an open seat between hands, or queue for the next one
+    ['takeSeat', 'joinWaitlist', 'leaveWaitlist'].forEach(type => {
+        socket.on(type, () => {
+            const seat = memberOf(socket);
+            if (!seat) return;
+
+            const error = run(seat.room, { type, playerId: seat.playerId });
+            if (error) socket.emit('notification', error);
+        });
+    });
+
+    socket.on('chooseRuns', (data) => {
+        const seat = seatOf(socket);
+        if (!seat || !isPayload(data)) return;
+        const { runs } = data;
+
+        const error = run(seat.room, { type: 'chooseRuns', playerId: seat.playerId, runs });
+        if (error) socket.emit('notification', error);
+    });
+
+    socket.on('showCards', (data) => {
+        const seat = seatOf(socket);
+        if (!seat || !isPayload(data)) return;
+        const { cards } = data;
+
+        const error = run(seat.room, { type: 'showCards', playerId: seat.playerId, cards });
+        if (error) socket.emit('notification', error);
+    });
+
+    socket.on('setAutoMuck', (data) => {
+        const seat = seatOf(socket);
+        if (!seat || !isPayload(data)) return;
+        const { autoMuck } = data;
+
+        run(seat.room, { type: 'setAutoMuck', playerId: seat.playerId, autoMuck: !!autoMuck });
+    });
+
+    socket.on('setStraddle', (data) => {
+        const seat = seatOf(socket);
+        if (!seat || !isPayload(data)) return;
+        const { straddle } = data;
+
+        const error = run(seat.room, { type: 'setStraddle', playerId: seat.playerId, straddle: !!straddle });
+        if (error) socket.emit('notification', error);
+    });
+
+    ['useTimeBank', 'sitOut', 'sitIn'].forEach(type => {
+        socket.on(type, () => {
+            const seat = seatOf(socket);
+            if (!seat) return;
+
+            const error = run(seat.room, { type, playerId: seat.playerId });
+            if (error) socket.emit('notification', error);
+        });
     });
 
     socket.on('requestRebuy', () => {
-        const room = Object.values(rooms).find(r => r.players.find(p => p.id === socket.id));
-        if (!room) return;
-        const player = room.players.find(p => p.id === socket.id);
-        
-        // Only rebuy between hands
-        if (room.gameStatus !== 'waiting' && room.gameStatus !== 'showdown') { // Actually showdown is technically playing, safest is waiting
-             // Allow queued rebuy or just reject?
-             if(player.chips === 0) {
-                 // If player is busted, they are sitting waiting. 
-                 // We can allow rebuy if they are not in a hand.
-                 if (player.status === 'busted' || player.status === 'waiting') {
-                    player.chips += 200;
-                    player.status = 'waiting';
-                    io.to(room.id).emit('notification', `${player.nickname} rebought 200 chips.`);
-                    broadcastRoomState(room.id);
-                 }
-             }
-             return;
+        const seat = seatOf(socket);
+        if (!seat) return;
+
+        const error = run(seat.room, { type: 'rebuy', playerId: seat.playerId });
+        if (error) socket.emit('notification', error);
+    });
+
+    // Bots are managed by the host from the lobby, between games
+    socket.on('addBot', (data) => {
+        const seat = memberOf(socket);
+        if (!seat || !isPayload(data) || seat.room.engine.status !== 'waiting') return;
+        if (!seat.room.engine.isHost(seat.playerId)) {
+            socket.emit('notification', 'Only the host can do that.');
+            return;
         }
 
-        if (player.chips <= 0) {
-            player.chips += 200;
-            io.to(room.id).emit('notification', `${player.nickname} rebought 200 chips.`);
-            broadcastRoomState(room.id);
+        const { style } = data;
+        const error = addBot(seat.room, style);
+        if (error) socket.emit('notification', error);
+    });
+
+    socket.on('removeBot', (data) => {
+        const seat = memberOf(socket);
+        if (!seat || !isPayload(data) || seat.room.engine.status !== 'waiting') return;
+        if (!seat.room.engine.isHost(seat.playerId)) {
+            socket.emit('notification', 'Only the host can do that.');
+            return;
         }
+
+        const { botId } = data;
+        const bot = seat.room.engine.getPlayer(botId);
+        if (bot && bot.isBot) leaveRoom(seat.room, bot.id);
+    });
+
+    socket.on('requestAddOn', () => {
+        const seat = seatOf(socket);
+        if (!seat) return;
+
+        const error = run(seat.room, { type: 'addOn', playerId: seat.playerId });
+        if (error) socket.emit('notification', error);
     });
 
     socket.on('disconnect', () => {
-        const room = Object.values(rooms).find(r => r.players.find(p => p.id === socket.id));
-        if (room) {
-            const pIndex = room.players.findIndex(p => p.id === socket.id);
-            if (pIndex !== -1) {
-                const p = room.players[pIndex];
-                // If game is playing, just mark as folded/sitting out
-                if (room.gameStatus === 'playing') {
-                    p.status = 'folded';
-                    // If it was their turn, advance
-                    if (p.seatIndex === room.currentTurnIndex) {
-                        handlePlayerAction(room, p, { action: 'fold' });
-                    }
-                    // Remove from room eventually? For now just leave 'ghost' until hand ends or restart
-                    room.players.splice(pIndex, 1); 
-                } else {
-                    room.players.splice(pIndex, 1);
-                }
-                
-                io.to(room.id).emit('notification', `${p.nickname} left.`);
-                broadcastRoomState(room.id);
-            }
-        }
+        const seat = memberOf(socket);
+        if (!seat) return;
+        const { room, playerId } = seat;
+
+        // Hold the seat, stack and cards for a while in case this is just a dropped connection
+        run(room, { type: 'setConnected', playerId, connected: false, graceSec: RECONNECT_GRACE_SEC });
+        room.graceTimers[playerId] = setTimeout(() => leaveRoom(room, playerId), RECONNECT_GRACE_SEC * 1000);
     });
 });
 
+// Last changes go to disk before the process stops
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+    saveNow();
+    process.exit(0);
+}));
+
+restoreState();
+
 const PORT = 3000;
 server.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
@@ -0,0 +1,97 @@
+/**
+ * PLAYER STATISTICS
+ * Running totals per nickname, built from the recorded actions of every
+ * finished hand (see history.js), and the numbers the leaderboard shows.
+ * Like the ledger, players are matched by nickname, so the same name is
+ * one player across rooms and nights.
+ */
+
+const { uncalledBet } = require('./history');
+
+const VOLUNTARY = ['call', 'bet', 'raise'];
+const AGGRESSIVE = ['bet', 'raise'];
+
+function emptyTotals(nickname, isBot) {
+    return {
+        nickname,
+        isBot,
+        hands: 0,
+        preflopHands: 0,  // Hands with a preflop betting round, i.e. not bomb pots
+        vpipHands: 0,     // Put chips in preflop without being forced to
+        pfrHands: 0,      // Bet or raised preflop
+        postflopAggressive: 0, // Bets and raises after the flop
+        postflopCalls: 0,
+        showdowns: 0,
+        showdownsWon: 0,
+        biggestPot: 0,    // Most chips collected in one hand, returned bets not included
+        net: 0
+    };
+}
+
+// nickname -> totals, optionally from a saved copy
+function createTotals(saved = {}) {
+    return Object.assign(Object.create(null), saved);
+}
+
+// Adds one finished hand record to totals, see createTotals
+function addHand(totals, record) {
+    const uncalled = uncalledBet(record);
+    const wentToShowdown = record.showdown.length > 1;
+
+    record.seats.forEach(s => {
+        const t = totals[s.nickname] = totals[s.nickname] || emptyTotals(s.nickname, !!s.isBot);
+        const actions = record.actions.filter(a => a.seat === s.seat);
+        const preflop = actions.filter(a => a.street === 'preflop');
+        const postflop = actions.filter(a => a.street !== 'preflop');
+
+        t.hands++;
+        if (!record.bombPot) {
+            t.preflopHands++;
+            if (preflop.some(a => VOLUNTARY.includes(a.type))) t.vpipHands++;
+            if (preflop.some(a => AGGRESSIVE.includes(a.type))) t.pfrHands++;
+        }
+        t.postflopAggressive += postflop.filter(a => AGGRESSIVE.includes(a.type)).length;
+        t.postflopCalls += postflop.filter(a => a.type === 'call').length;
+
+        const returned = uncalled && uncalled.seat === s.seat ? uncalled.amount : 0;
+        const collected = record.pots.reduce((sum, p) =>
+            sum + p.winners.filter(w => w.seat === s.seat).reduce((a, w) => a + w.amount, 0), 0) - returned;
+        const putIn = (record.contributions[s.seat] || 0) - returned;
+        t.net += collected - putIn;
+        t.biggestPot = Math.max(t.biggestPot, collected);
+
+        if (wentToShowdown && record.showdown.some(sd => sd.seat === s.seat)) {
+            t.showdowns++;
+            if (collected > 0) t.showdownsWon++;
+        }
+    });
+}
+
+function percent(count, of) {
+    return of > 0 ? Math.round(count * 1000 / of) / 10 : null;
+}
+
+// What the leaderboard and the seat tooltips show; percentages 0-100, null when there is nothing to go on.
+// aggression: (bets + raises) / calls after the flop, null without calls.
+function summarizePlayer(t) {
+    return {
+        nickname: t.nickname,
+        isBot: t.isBot,
+        hands: t.hands,
+        vpip: percent(t.vpipHands, t.preflopHands),
+        pfr: percent(t.pfrHands, t.preflopHands),
+        aggression: t.postflopCalls > 0 ? Math.round(t.postflopAggressive * 100 / t.postflopCalls) / 100 : null,
+        aggressiveActions: t.postflopAggressive,
+        showdowns: t.showdowns,
+        showdownWinRate: percent(t.showdownsWon, t.showdowns),
+        biggestPot: t.biggestPot,
+        net: t.net
+    };
+}
+
+// Every player, biggest winner first
+function leaderboard(totals) {
+    return Object.values(totals).map(summarizePlayer).sort((a, b) => b.net - a.net || b.hands - a.hands);
+}
+
+module.exports = { createTotals, addHand, summarizePlayer, leaderboard };
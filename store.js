@@ -0,0 +1,40 @@
+/**
+ * STATE STORE
+ * Rooms, sessions and player stats saved as one JSON file on the host's disk, so a restart
+ * doesn't wipe the stacks. Set POKER_DATA_FILE to keep it somewhere else.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_FILE = process.env.POKER_DATA_FILE || path.join(__dirname, 'data', 'state.json');
+
+// Saved state, or null on the first run. A file that can't be read is set aside, not overwritten.
+function load() {
+    let text;
+    try {
+        text = fs.readFileSync(DATA_FILE, 'utf8');
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error(`Could not read ${DATA_FILE}:`, err.message);
+        return null;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        const aside = `${DATA_FILE}.corrupt-${Date.now()}`;
+        console.error(`${DATA_FILE} is not valid JSON, moved to ${aside}`);
+        fs.renameSync(DATA_FILE, aside);
+        return null;
+    }
+}
+
+// Write to a temp file first, so a crash mid-write never leaves half a file
+function save(state) {
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    const tmp = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, DATA_FILE);
+}
+
+module.exports = { load, save, DATA_FILE };
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CONFIG, normalizeConfig, normalizeBlinds } = require('../config');
+
+test('normalizeConfig: anything but an object gives the defaults', () => {
+    for (const options of [undefined, null, 'holdem', 5]) {
+        const config = normalizeConfig(options);
+        assert.equal(config.variant, DEFAULT_CONFIG.variant);
+        assert.equal(config.bigBlind, DEFAULT_CONFIG.bigBlind);
+        assert.equal(config.mode, 'cash');
+    }
+});
+
+test('normalizeBlinds: anything but an object keeps the current blinds', () => {
+    const current = { smallBlind: 5, bigBlind: 10, ante: 1 };
+    assert.deepEqual(normalizeBlinds(null, current), current);
+    assert.deepEqual(normalizeBlinds({ smallBlind: 10, bigBlind: 20 }, current), { smallBlind: 10, bigBlind: 20, ante: 1 });
+});
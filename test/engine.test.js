@@ -0,0 +1,270 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TableEngine } = require('../engine');
+const { Deck, createSeededRng } = require('../poker');
+const fairness = require('../fairness');
+
+// Players join in seat order, so the first hand has the button on seat 1 (the second player)
+function table(ids, config = {}, options = {}) {
+    const engine = new TableEngine('test', { minPlayers: 2, startingChips: 100, maxRuns: 1, ...config },
+        { rng: createSeededRng(1), clock: () => 0, ...options });
+    ids.forEach(id => engine.dispatch({ type: 'join', player: { id, nickname: id } }));
+    return engine;
+}
+
+// Deals `cards` first, in order and burn cards included ('A♠', 'T♥', ...), then the rest of a shuffled deck
+function stackedDeck(cards) {
+    return (rng, ranks) => {
+        const deck = new Deck(rng, ranks);
+        const name = (c) => c.rank + c.suit;
+        const top = cards.map(n => deck.cards.find(c => name(c) === n));
+        deck.cards = deck.cards.filter(c => !cards.includes(name(c))).concat(top.reverse());
+        return deck;
+    };
+}
+
+function toAct(engine) {
+    const turn = engine.getState().turn;
+    return turn && turn.playerId;
+}
+
+function player(engine, id) {
+    return engine.getState().players.find(p => p.id === id);
+}
+
+// The player to act does `action`, which must be allowed
+function act(engine, action, amount) {
+    const result = engine.dispatch({ type: 'act', playerId: toAct(engine), action, amount });
+    assert.equal(result.error, null);
+    return result;
+}
+
+// Checks or calls until the hand is over
+function checkDown(engine) {
+    while (toAct(engine)) act(engine, engine.turnInfo(toAct(engine)).canCheck ? 'check' : 'call');
+}
+
+// Deals the rest of the board after everyone is all in
+function runOut(engine) {
+    while (engine.getState().status === 'playing') engine.dispatch({ type: 'runOut' });
+}
+
+// --- SEATS ---
+
+test('a nickname already in the room is refused, in any case', () => {
+    const engine = table(['Sam']);
+    const join = engine.dispatch({ type: 'join', player: { id: 'sam2', nickname: 'sam' } });
+    assert.equal(join.error, 'Someone in this room already has that nickname.');
+    const watch = engine.dispatch({ type: 'watch', spectator: { id: 'sam3', nickname: 'SAM' } });
+    assert.equal(watch.error, 'Someone in this room already has that nickname.');
+
+    // Taking a seat is the same member, not a second one
+    assert.equal(engine.dispatch({ type: 'watch', spectator: { id: 'kim', nickname: 'Kim' } }).error, null);
+    assert.equal(engine.dispatch({ type: 'takeSeat', playerId: 'kim' }).error, null);
+    assert.equal(engine.getState().players.length, 2);
+});
+
+// --- BETTING ORDER ---
+
+test('heads-up the button posts the small blind and acts first preflop, last after the flop', () => {
+    const engine = table(['a', 'b']);
+    engine.dispatch({ type: 'start', playerId: 'a' });
+
+    assert.ok(player(engine, 'b').isDealer && player(engine, 'b').isSB);
+    assert.ok(player(engine, 'a').isBB);
+    assert.equal(player(engine, 'b').bet, 1);
+    assert.equal(player(engine, 'a').bet, 2);
+    assert.equal(toAct(engine), 'b');
+
+    act(engine, 'call');
+    assert.equal(toAct(engine), 'a');
+    act(engine, 'check');
+    assert.equal(engine.getState().communityCards.length, 3);
+    assert.equal(toAct(engine), 'a');
+
+    checkDown(engine);
+    engine.dispatch({ type: 'nextHand' });
+    assert.ok(player(engine, 'a').isDealer && player(engine, 'a').isSB);
+    assert.equal(toAct(engine), 'a');
+});
+
+test('after the flop the first player left of the button acts first', () => {
+    const engine = table(['a', 'b', 'c', 'd']);
+    engine.dispatch({ type: 'start', playerId: 'a' });
+    assert.equal(toAct(engine), 'a'); // Under the gun, left of the big blind on seat 3
+
+    act(engine, 'call');
+    act(engine, 'call');
+    act(engine, 'fold'); // The small blind, left of the button
+    act(engine, 'check');
+    assert.equal(engine.getState().communityCards.length, 3);
+    assert.equal(toAct(engine), 'd');
+});
+
+// --- BIG BLIND OPTION ---
+
+test('the big blind may raise when the small blind only completes', () => {
+    const engine = table(['a', 'b', 'c']); // Button b, small blind c, big blind a
+    engine.dispatch({ type: 'start', playerId: 'a' });
+    act(engine, 'call');
+    act(engine, 'call');
+
+    assert.equal(toAct(engine), 'a');
+    const info = engine.turnInfo('a');
+    assert.ok(info.canCheck);
+    assert.ok(info.canRaise);
+
+    act(engine, 'raise', 6);
+    assert.equal(engine.getState().communityCards.length, 0);
+    assert.equal(toAct(engine), 'b');
+    act(engine, 'call');
+    act(engine, 'call');
+    assert.equal(engine.getState().communityCards.length, 3);
+});
+
+test('the big blind checking closes the preflop round', () => {
+    const engine = table(['a', 'b', 'c']);
+    engine.dispatch({ type: 'start', playerId: 'a' });
+    act(engine, 'call');
+    act(engine, 'call');
+    act(engine, 'check');
+    assert.equal(engine.getState().communityCards.length, 3);
+});
+
+// --- ALL-INS ---
+
+test('a short all-in raise does not reopen the betting', () => {
+    const engine = table(['a', 'b', 'c', 'd']);
+    engine.dispatch({ type: 'adjustStack', playerId: 'a', targetId: 'd', chips: -86 });
+    engine.dispatch({ type: 'start', playerId: 'a' });
+    assert.ok(player(engine, 'd').isBB);
+
+    act(engine, 'raise', 10);
+    act(engine, 'call');
+    act(engine, 'call');
+    act(engine, 'all-in'); // d to 14, 4 more when a full raise is 8
+    assert.equal(engine.getState().currentBet, 14);
+
+    assert.equal(toAct(engine), 'a');
+    assert.equal(engine.turnInfo('a').canRaise, false);
+    const raise = engine.dispatch({ type: 'act', playerId: 'a', action: 'raise', amount: 30 });
+    assert.match(raise.error, /not reopened/);
+
+    act(engine, 'call');
+    act(engine, 'call');
+    act(engine, 'call');
+    assert.equal(engine.getState().communityCards.length, 3);
+});
+
+test('a full all-in raise reopens the betting', () => {
+    const engine = table(['a', 'b', 'c', 'd']);
+    engine.dispatch({ type: 'adjustStack', playerId: 'a', targetId: 'd', chips: -80 });
+    engine.dispatch({ type: 'start', playerId: 'a' });
+
+    act(engine, 'raise', 10);
+    act(engine, 'call');
+    act(engine, 'call');
+    act(engine, 'all-in'); // d to 20, a full raise of 10
+    assert.equal(toAct(engine), 'a');
+    assert.ok(engine.turnInfo('a').canRaise);
+});
+
+// --- POTS ---
+
+test('side pots go to the best hand among the players in them', () => {
+    // Button b, small blind c, big blind a
+    const engine = table(['a', 'b', 'c'], {}, {
+        createDeck: stackedDeck([
+            'K♠', 'K♥', '2♣', '7♦', 'A♠', 'A♥', // a, b, c
+            '5♥', '3♦', '8♣', '9♠', '5♠', 'J♦', '6♥', '4♣'
+        ])
+    });
+    engine.dispatch({ type: 'adjustStack', playerId: 'a', targetId: 'a', chips: -50 });
+    engine.dispatch({ type: 'adjustStack', playerId: 'a', targetId: 'c', chips: -80 });
+    engine.dispatch({ type: 'start', playerId: 'a' });
+
+    act(engine, 'all-in'); // b 100
+    act(engine, 'all-in'); // c 20
+    act(engine, 'all-in'); // a 50
+    runOut(engine);
+
+    // c takes the main pot of 60, a the side pot of 60 and b gets back the 50 nobody could call
+    assert.equal(player(engine, 'c').chips, 60);
+    assert.equal(player(engine, 'a').chips, 60);
+    assert.equal(player(engine, 'b').chips, 50);
+});
+
+test('the odd chip of a split pot goes to the first winner left of the button', () => {
+    // Everyone plays the royal flush on the board
+    const engine = table(['a', 'b', 'c'], {}, {
+        createDeck: stackedDeck([
+            '2♥', '3♥', '4♦', '5♦', '6♣', '7♣', // a, b, c
+            '9♥', 'A♠', 'K♠', 'Q♠', '8♥', 'J♠', '7♥', 'T♠'
+        ])
+    });
+    engine.dispatch({ type: 'start', playerId: 'a' });
+    act(engine, 'call'); // b on the button
+    act(engine, 'fold'); // c leaves 1 chip in a pot of 5
+    act(engine, 'check');
+    checkDown(engine);
+
+    assert.equal(player(engine, 'a').chips, 101);
+    assert.equal(player(engine, 'b').chips, 100);
+    assert.equal(player(engine, 'c').chips, 99);
+});
+
+// --- LEDGER ---
+
+test('the settle-up adds up while a hand someone left is still running', () => {
+    const engine = table(['a', 'b', 'c']);
+    engine.dispatch({ type: 'start', playerId: 'a' });
+    act(engine, 'raise', 10); // b
+    engine.dispatch({ type: 'leave', playerId: 'b' });
+    assert.equal(engine.getState().status, 'playing');
+
+    const { players } = engine.getLedger();
+    assert.equal(players.reduce((sum, p) => sum + p.net, 0), 0);
+    assert.equal(players.find(p => p.nickname === 'b').net, 0);
+});
+
+// --- FAIRNESS ---
+
+test('finished hands stay sealed until the host reveals their seeds', () => {
+    const engine = table(['a', 'b']);
+    engine.dispatch({ type: 'start', playerId: 'a' });
+    checkDown(engine);
+    const [record] = engine.handHistory;
+    assert.equal(record.fairness.serverSeed, undefined);
+    assert.equal(engine.dispatch({ type: 'revealSeeds', playerId: 'b' }).error, 'Only the host can do that.');
+
+    assert.equal(engine.dispatch({ type: 'revealSeeds', playerId: 'a' }).error, null);
+    const revealed = engine.handHistory[0].fairness;
+    assert.ok(fairness.verifyHand(revealed).ok);
+    assert.equal(engine.dispatch({ type: 'revealSeeds', playerId: 'a' }).error, 'There are no finished hands to reveal.');
+});
+
+// --- REPLAYS ---
+
+// Every event of a few hands where everyone checks or calls.
+// Hand ids count up for as long as the process runs, so they are left out.
+function replay(seed) {
+    const engine = table(['a', 'b', 'c'], {}, { rng: createSeededRng(seed) });
+    const events = [];
+    const record = (result) => events.push(...result.events.map(e =>
+        e.type === 'handRecorded' ? { ...e, hand: { ...e.hand, id: null } } : e));
+    record(engine.dispatch({ type: 'start', playerId: 'a' }));
+    for (let hand = 0; hand < 3; hand++) {
+        while (toAct(engine)) {
+            const id = toAct(engine);
+            record(engine.dispatch({ type: 'act', playerId: id, action: engine.turnInfo(id).canCheck ? 'check' : 'call' }));
+        }
+        record(engine.dispatch({ type: 'nextHand' }));
+    }
+    return JSON.stringify(events);
+}
+
+test('a table with the same seed deals the same hands', () => {
+    const first = replay(42);
+    assert.equal(replay(42), first);
+    assert.notEqual(replay(7), first);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ledger = require('../ledger');
+
+const CASH = { mode: 'cash', chipValue: 1 };
+
+// Everyone bought in for 10 and now has `stacks[nickname]` chips
+function report(stacks, bots = []) {
+    const entries = [];
+    const players = Object.entries(stacks).map(([nickname, chips]) => {
+        const player = { id: nickname, nickname, isBot: bots.includes(nickname), chips };
+        ledger.recordEntry(entries, 'buy-in', player, 10, 0);
+        return player;
+    });
+    return ledger.buildReport(entries, players, CASH);
+}
+
+test('settle up: the fewest transfers, not biggest debt to biggest credit', () => {
+    const { transfers, unsettled } = report({ A: 16, B: 14, C: 7, D: 7, E: 8, F: 8 });
+    assert.equal(transfers.length, 4);
+    assert.equal(unsettled, 0);
+    const received = {};
+    transfers.forEach(t => received[t.to] = (received[t.to] || 0) + t.amount);
+    assert.deepEqual(received, { A: 6, B: 4 });
+});
+
+test('settle up: what was won from or lost to bots stays unsettled', () => {
+    const { transfers, unsettled } = report({ A: 5, B: 15, C: 0, Bot: 20 }, ['Bot']);
+    assert.deepEqual(transfers, [{ from: 'A', to: 'B', amount: 5 }]);
+    assert.equal(unsettled, -10);
+});
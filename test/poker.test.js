@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPots, evaluateHand, evaluateLow } = require('../poker');
+const variants = require('../variants');
+
+const SUITS = { s: '♠', h: '♥', d: '♦', c: '♣' };
+const VALUES = { T: 10, J: 11, Q: 12, K: 13, A: 14 };
+
+// 'As Td 2c' -> card objects
+function cards(text) {
+    return text.split(' ').map(([rank, suit]) => ({ rank, suit: SUITS[suit], value: VALUES[rank] || Number(rank) }));
+}
+
+function names(list) {
+    return list.map(c => c.rank + c.suit).join(' ');
+}
+
+function evaluate(variant, hole, board) {
+    return variants.evaluate(variants.getVariant(variant), cards(hole), cards(board));
+}
+
+// --- HAND EVALUATOR ---
+
+test('evaluateHand: the kicker decides between equal pairs', () => {
+    const board = cards('As 9d 7c 4h 2s');
+    const kingKicker = evaluateHand(cards('Ah Kc'), board);
+    const queenKicker = evaluateHand(cards('Ad Qc'), board);
+    assert.equal(kingKicker.description, 'Pair of Aces, King kicker');
+    assert.ok(kingKicker.score > queenKicker.score);
+
+    // Both play the same five: a genuine tie
+    const playsBoard = cards('Ks Qd Jh 9c 8s');
+    assert.equal(evaluateHand(cards('2h 3c'), playsBoard).score, evaluateHand(cards('2d 4c'), playsBoard).score);
+});
+
+test('evaluateHand: two pair keeps the best two pairs and the best kicker', () => {
+    const hand = evaluateHand(cards('Ks Kd'), cards('Qc Qh 5s 5d Ac'));
+    assert.equal(hand.description, 'Two Pair, Kings and Queens, Ace kicker');
+    assert.equal(names(hand.cards), 'K♠ K♦ Q♣ Q♥ A♣');
+});
+
+test('evaluateHand: the wheel is a five-high straight, the Ace plays low', () => {
+    const board = cards('3c 4h 5s 9d Kc');
+    const wheel = evaluateHand(cards('As 2d'), board);
+    assert.equal(wheel.description, 'Straight, Five high');
+    assert.equal(names(wheel.cards), '5♠ 4♥ 3♣ 2♦ A♠');
+    assert.ok(evaluateHand(cards('6s 2d'), board).score > wheel.score);
+});
+
+test('evaluateHand: Short Deck ranks a flush above a full house and has an A-6-7-8-9 straight', () => {
+    const flush = ['Ah Kh', 'Qh 8h 6h Ts 7c'];
+    const fullHouse = ['8s 8d', '8c 6s 6d Ts Jc'];
+    assert.ok(evaluate('holdem', ...fullHouse).score > evaluate('holdem', ...flush).score);
+    assert.ok(evaluate('shortdeck', ...flush).score > evaluate('shortdeck', ...fullHouse).score);
+
+    assert.equal(evaluate('shortdeck', 'As 6d', '7c 8h 9s Jd Kc').description, 'Straight, Nine high');
+    assert.equal(evaluate('holdem', 'As 6d', '7c 8h 9s Jd Kc').category, 0);
+});
+
+test('evaluateHand: Omaha plays exactly two hole cards and three from the board', () => {
+    // Four spades on the board and one in the hand: a flush in Hold'em, not in Omaha
+    const hole = 'As Kd Qd Jd';
+    const board = '2s 3s 7s 9s Th';
+    assert.equal(evaluate('holdem', hole, board).name, 'Flush');
+    assert.notEqual(evaluate('omaha', hole, board).name, 'Flush');
+
+    // Four of a kind on the board plays as three of a kind: only three board cards count
+    assert.equal(evaluate('holdem', 'Ah Kd', '9s 9h 9c 9d 5s').name, 'Four of a Kind');
+    assert.equal(evaluate('omaha', 'Ah Kd 4c 2d', '9s 9h 9c 9d 5s').description, 'Three of a Kind, Nines, Ace kicker');
+});
+
+test('evaluateLow: eight or better with two hole cards, the lowest low wins', () => {
+    const board = cards('4c 5h 8s Jd Qc');
+    const aceTwo = evaluateLow(cards('As 2d Kc Kh'), board);
+    const aceThree = evaluateLow(cards('Ah 3d Kd Qs'), board);
+    assert.equal(aceTwo.description, 'Low 8-5-4-2-A');
+    assert.ok(aceTwo.score > aceThree.score);
+
+    // Only two low cards on the board: no low
+    assert.equal(evaluateLow(cards('As 2d Kc Kh'), cards('3c 9h Ts Jd Qc')), null);
+    // Pairs don't count: A-A gives no second low card
+    assert.equal(evaluateLow(cards('As Ad Kc Kh'), cards('3c 5h 8s Jd Qc')), null);
+});
+
+// --- SIDE POTS ---
+
+test('buildPots: one pot when everyone put in the same', () => {
+    assert.deepEqual(buildPots([
+        { id: 'a', contributed: 10, folded: false },
+        { id: 'b', contributed: 10, folded: false },
+        { id: 'c', contributed: 10, folded: true }
+    ]), [{ amount: 30, eligible: ['a', 'b'] }]);
+});
+
+test('buildPots: short all-ins make side pots, main pot first', () => {
+    assert.deepEqual(buildPots([
+        { id: 'a', contributed: 5, folded: false },
+        { id: 'b', contributed: 20, folded: false },
+        { id: 'c', contributed: 50, folded: false },
+        { id: 'd', contributed: 50, folded: false }
+    ]), [
+        { amount: 20, eligible: ['a', 'b', 'c', 'd'] },
+        { amount: 45, eligible: ['b', 'c', 'd'] },
+        { amount: 60, eligible: ['c', 'd'] }
+    ]);
+});
+
+test('buildPots: folded chips stay in the pots they reached', () => {
+    assert.deepEqual(buildPots([
+        { id: 'a', contributed: 10, folded: false },
+        { id: 'b', contributed: 30, folded: true },
+        { id: 'c', contributed: 40, folded: false }
+    ]), [
+        { amount: 30, eligible: ['a', 'c'] },
+        { amount: 50, eligible: ['c'] }
+    ]);
+});
+
+test('buildPots: dead money above every live stack goes to the last pot', () => {
+    assert.deepEqual(buildPots([
+        { id: 'a', contributed: 10, folded: false },
+        { id: 'b', contributed: 10, folded: false },
+        { id: 'gone', contributed: 25, folded: true }
+    ]), [{ amount: 45, eligible: ['a', 'b'] }]);
+});
@@ -0,0 +1,99 @@
+/**
+ * TOURNAMENT MODULE
+ * Blind schedule, level clock, eliminations and payouts for sit-and-go rooms
+ */
+
+// Multiples of the first level's small blind: [small, big, ante]
+const BLIND_STRUCTURE = [
+    [1, 2, 0], [2, 4, 0], [3, 6, 0], [5, 10, 1], [8, 16, 2], [10, 20, 2],
+    [15, 30, 3], [25, 50, 5], [40, 80, 10], [50, 100, 10], [75, 150, 15],
+    [100, 200, 25], [150, 300, 25], [200, 400, 50], [300, 600, 75], [500, 1000, 100]
+];
+
+const DEFAULT_PAYOUTS = [50, 30, 20]; // Percent of the prize pool for 1st, 2nd, 3rd...
+
+// Default schedule scaled from the room's starting blinds
+function buildBlindSchedule(smallBlind) {
+    return BLIND_STRUCTURE.map(([sb, bb, ante]) => ({
+        smallBlind: sb * smallBlind,
+        bigBlind: bb * smallBlind,
+        ante: ante * smallBlind
+    }));
+}
+
+function createTournament(room, now) {
+    return {
+        startedAt: now,
+        level: 0,
+        eliminated: [], // Busted players, first out first: { nickname, id }
+        entries: room.players.length,
+        rebuys: 0,
+        addOns: 0,
+        finished: false,
+        standings: null
+    };
+}
+
+// Level index from the clock, the last level lasts forever
+function levelAt(config, tournament, now) {
+    const elapsed = now - tournament.startedAt;
+    const level = Math.floor(elapsed / (config.blindLevelMinutes * 60000));
+    return Math.min(level, config.blindSchedule.length - 1);
+}
+
+// Ms until the next level, or null once the final level is reached
+function msUntilNextLevel(config, tournament, now) {
+    if (tournament.level >= config.blindSchedule.length - 1) return null;
+    const levelMs = config.blindLevelMinutes * 60000;
+    return tournament.startedAt + (tournament.level + 1) * levelMs - now;
+}
+
+// Rebuys are allowed while the level is inside the rebuy period
+function isRebuyOpen(config, tournament) {
+    return !tournament.finished && tournament.level < config.rebuyLevels;
+}
+
+// The add-on is offered once, during the last level of the rebuy period
+function isAddOnOpen(config, tournament) {
+    return config.addOnAmount > 0 && !tournament.finished && tournament.level === config.rebuyLevels - 1;
+}
+
+// Total chips bought into the tournament
+function prizePool(config, tournament) {
+    return tournament.entries * config.startingChips +
+        tournament.rebuys * config.rebuyAmount +
+        tournament.addOns * config.addOnAmount;
+}
+
+// Final standings: winner first, then players in reverse elimination order
+function computeStandings(config, tournament, winner) {
+    const pool = prizePool(config, tournament);
+    const finishers = [winner].concat([...tournament.eliminated].reverse());
+    const standings = finishers.map((p, i) => {
+        const percent = config.payouts[i] || 0;
+        return {
+            place: i + 1,
+            id: p.id,
+            nickname: p.nickname,
+            percent,
+            payout: Math.floor(pool * percent / 100)
+        };
+    });
+
+    // Rounding leftovers go to the winner
+    const paid = standings.reduce((sum, s) => sum + s.payout, 0);
+    if (standings[0].percent > 0) standings[0].payout += pool - paid;
+    return standings;
+}
+
+module.exports = {
+    DEFAULT_PAYOUTS,
+    buildBlindSchedule,
+    createTournament,
+    levelAt,
+    msUntilNextLevel,
+    isRebuyOpen,
+    isAddOnOpen,
+    prizePool,
+    computeStandings
+};
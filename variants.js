@@ -0,0 +1,84 @@
+/**
+ * GAME VARIANTS
+ * What changes from one poker game to the next: deck, hole cards, how hands
+ * are evaluated, usual betting limit and whether pots are split high/low.
+ */
+
+const { evaluateHand, evaluateLow, RANKS, SHORT_DECK_RANKS } = require('./poker');
+
+const VARIANTS = {
+    'holdem': {
+        name: "No-Limit Hold'em",
+        historyName: "Hold'em No Limit",
+        baseName: "Hold'em",
+        historyBaseName: "Hold'em",
+        holeCards: 2,
+        ranks: RANKS,
+        bettingLimit: 'no-limit',
+        hiLo: false,
+        rules: {}
+    },
+    'omaha': {
+        name: 'Pot-Limit Omaha',
+        historyName: 'Omaha Pot Limit',
+        baseName: 'Omaha',
+        historyBaseName: 'Omaha',
+        holeCards: 4,
+        ranks: RANKS,
+        bettingLimit: 'pot-limit',
+        hiLo: false,
+        rules: { exactlyTwo: true }
+    },
+    'omaha-hilo': {
+        name: 'Omaha Hi-Lo',
+        historyName: 'Omaha Hi/Lo Pot Limit',
+        baseName: 'Omaha Hi-Lo',
+        historyBaseName: 'Omaha Hi/Lo',
+        holeCards: 4,
+        ranks: RANKS,
+        bettingLimit: 'pot-limit',
+        hiLo: true,
+        rules: { exactlyTwo: true }
+    },
+    'shortdeck': {
+        name: "Short Deck Hold'em",
+        historyName: "Hold'em Short Deck No Limit",
+        baseName: "Short Deck Hold'em",
+        historyBaseName: "Hold'em Short Deck",
+        holeCards: 2,
+        ranks: SHORT_DECK_RANKS,
+        bettingLimit: 'no-limit',
+        hiLo: false,
+        rules: { shortDeck: true }
+    }
+};
+
+const DEFAULT_VARIANT = 'holdem';
+
+const LIMIT_NAMES = { 'no-limit': 'No-Limit', 'pot-limit': 'Pot-Limit', 'fixed-limit': 'Fixed-Limit' };
+const LIMIT_HISTORY_NAMES = { 'no-limit': 'No Limit', 'pot-limit': 'Pot Limit', 'fixed-limit': 'Limit' };
+
+function getVariant(key) {
+    return Object.hasOwn(VARIANTS, key) ? VARIANTS[key] : VARIANTS[DEFAULT_VARIANT];
+}
+
+// { name, historyName } of the variant played with this betting limit
+function gameNames(variant, bettingLimit) {
+    if (bettingLimit === variant.bettingLimit) return { name: variant.name, historyName: variant.historyName };
+    return {
+        name: `${LIMIT_NAMES[bettingLimit]} ${variant.baseName}`,
+        historyName: `${variant.historyBaseName} ${LIMIT_HISTORY_NAMES[bettingLimit]}`
+    };
+}
+
+// evaluateHand with the variant's rules
+function evaluate(variant, holeCards, communityCards) {
+    return evaluateHand(holeCards, communityCards, variant.rules);
+}
+
+// Qualifying low hand, or null (always null outside Hi-Lo games)
+function evaluateLowHand(variant, holeCards, communityCards) {
+    return variant.hiLo ? evaluateLow(holeCards, communityCards) : null;
+}
+
+module.exports = { VARIANTS, DEFAULT_VARIANT, getVariant, gameNames, evaluate, evaluateLowHand };